@@ -17,6 +17,7 @@ export default function(moduleOptions) {
     const nuxtConfig = nuxt.options;
 
     const options = {
+        debug: nuxt.options.dev,
         ...nuxtConfig.scrollBlocker,
         ...moduleOptions
     };
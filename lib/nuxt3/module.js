@@ -0,0 +1,54 @@
+/**
+ * ScrollBlocker
+ *
+ * @description Nuxt 3 module integration for a ScrollBlocker wrapper.
+ * Requires a minimal version of nuxt 3.0+
+ *
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ *
+ */
+
+import { addImports, addPlugin, createResolver, defineNuxtModule } from '@nuxt/kit';
+
+export default defineNuxtModule({
+    meta: {
+        name: '@this/scroll-blocker',
+        configKey: 'scrollBlocker',
+        compatibility: {
+            nuxt: '^3.0.0'
+        }
+    },
+    defaults: {},
+    setup(moduleOptions, nuxt) {
+
+        const { resolve } = createResolver(import.meta.url);
+        const runtimeConfig = nuxt.options.runtimeConfig;
+
+        /**
+         * Pass the options as public runtime config, so they can be overwritten by environment variables.
+         * Functions like `misplacedElements` can not be serialized and have to be passed to `enable()` instead.
+         */
+        runtimeConfig.public.scrollBlocker = {
+            debug: nuxt.options.dev,
+            ...moduleOptions,
+            ...runtimeConfig.public.scrollBlocker
+        };
+
+        /**
+         * Provide the ScrollBlocker Class as $scrollBlocker, it acts as a no-op during server side rendering
+         */
+        addPlugin({
+            src: resolve('./runtime/plugin.js')
+        });
+
+        /**
+         * Auto import the useScrollBlocker composable
+         */
+        addImports({
+            name: 'useScrollBlocker',
+            from: resolve('./runtime/composables.js')
+        });
+
+    }
+});
@@ -0,0 +1,61 @@
+import { getCurrentInstance, onBeforeUnmount } from 'vue';
+import { useNuxtApp } from '#imports';
+
+/**
+ * An Object returned by `useScrollBlocker()`.
+ * @typedef {Object} UseScrollBlocker
+ * @property {ScrollBlocker|undefined} scrollBlocker - The provided ScrollBlocker.
+ * @property {function} enable - Acquires a lock that is released when the calling component unmounts.
+ * @property {function} disable - Releases every lock acquired with `enable()`.
+ */
+
+/**
+ * Returns functions to acquire and release locks of the provided ScrollBlocker.
+ * When called in the setup of a component, every lock acquired with `enable()` is released when the component unmounts.
+ * During server side rendering the acquired locks are rendered into the HTML and adopted on hydration when their owner is a string or a number.
+ * Without a provided ScrollBlocker `enable()` returns `null` and `disable()` does nothing.
+ * @param {Object} [defaults = {}] - Parameters passed to every `enable()` call, e.g. a `breakpoint` or `misplacedElements`.
+ * @return {UseScrollBlocker}
+ */
+export const useScrollBlocker = (defaults = {}) => {
+
+    const { $scrollBlocker } = useNuxtApp();
+    const locks = new Set();
+
+    /**
+     * Acquires a lock that is released when the calling component unmounts.
+     * @param {Object} [param = {}] - Parameters passed to `ScrollBlocker.enable()`.
+     * @return {ScrollLock|null}
+     */
+    const enable = (param = {}) => {
+        if (!$scrollBlocker) {
+            return null;
+        }
+
+        const lock = $scrollBlocker.enable({ ...defaults, ...param });
+
+        locks.add(lock);
+
+        return lock;
+    };
+
+    /**
+     * Releases every lock acquired with `enable()`.
+     * @return {void}
+     */
+    const disable = () => {
+        locks.forEach(lock => lock.release());
+        locks.clear();
+    };
+
+    if (getCurrentInstance()) {
+        onBeforeUnmount(disable);
+    }
+
+    return {
+        scrollBlocker: $scrollBlocker,
+        enable,
+        disable
+    };
+
+};
@@ -0,0 +1,44 @@
+import { defineNuxtPlugin, useHead, useRuntimeConfig } from '#imports';
+import { ScrollBlocker } from '../../../src/vanilla/ScrollBlocker';
+import { createScrollLockDirective } from '../../../src/vue/scrollLockDirective';
+import { releaseOnNavigation } from '../../../src/vue/releaseOnNavigation';
+
+/**
+ *
+ * Provide the shared ScrollBlocker instance as Nuxt 3 Plugin and register the v-scroll-lock directive
+ * Can be used with useNuxtApp().$scrollBlocker or the useScrollBlocker composable
+ * Releases all locks that are not persistent on route changes when the `releaseOnNavigation` option is set
+ * Renders the class name of locks acquired during server side rendering into the HTML and adopts them on hydration
+ *
+ */
+export default defineNuxtPlugin(nuxtApp => {
+
+    const { releaseOnNavigation: shouldReleaseOnNavigation, ...options } = useRuntimeConfig().public.scrollBlocker;
+    const scrollBlocker = ScrollBlocker.getInstance(options);
+
+    nuxtApp.vueApp.directive('scroll-lock', createScrollLockDirective(scrollBlocker));
+
+    if (process.server) {
+        useHead({
+            htmlAttrs: {
+                class: () => scrollBlocker.isEnabled ? scrollBlocker.className : undefined
+            }
+        });
+        nuxtApp.hook('app:rendered', () => {
+            nuxtApp.payload.scrollBlocker = scrollBlocker.serialize();
+        });
+    } else if (nuxtApp.payload.scrollBlocker) {
+        scrollBlocker.hydrate(nuxtApp.payload.scrollBlocker);
+    }
+
+    if (shouldReleaseOnNavigation && nuxtApp.$router) {
+        releaseOnNavigation(nuxtApp.$router, scrollBlocker);
+    }
+
+    return {
+        provide: {
+            scrollBlocker
+        }
+    };
+
+});
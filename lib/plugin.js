@@ -1,16 +1,53 @@
+import Vue from 'vue';
 import { ScrollBlocker } from '@this/scroll-blocker/src/vanilla/ScrollBlocker';
+import { createScrollLockDirective } from '@this/scroll-blocker/src/vue/scrollLockDirective';
+import { releaseOnNavigation } from '@this/scroll-blocker/src/vue/releaseOnNavigation';
 
-const options = <%= serialize(options) %>;
+const { releaseOnNavigation: shouldReleaseOnNavigation, ...options } = <%= serialize(options) %>;
 
 /**
  *
- * Inject the ScrollBlocker Class as Vue 2 Plugin
+ * Inject the shared ScrollBlocker instance as Vue 2 Plugin and register the v-scroll-lock directive
  * Can be used in vue 2 context with this.$scrollBlocker
+ * Releases all locks that are not persistent on route changes when the `releaseOnNavigation` option is set
+ * Renders the class name of locks acquired during server side rendering into the HTML and adopts them on hydration
+ * @param {Object} context From nuxt given context, contains the app with its router, the nuxtState and beforeNuxtRender
  * @param {function} inject From vue  2 given inject function. Inject something (Param 2) under given name (Param 1) in the vue context
  *
  */
-export default ({}, inject) => {
+export default ({ app, nuxtState, beforeNuxtRender }, inject) => {
 
-    inject('scrollBlocker', new ScrollBlocker(options));
+    const scrollBlocker = ScrollBlocker.getInstance(options);
+
+    Vue.directive('scroll-lock', createScrollLockDirective(scrollBlocker));
+
+    if (process.server) {
+        const head = app.head;
+
+        app.head = function() {
+            const metaInfo = (typeof head === 'function' ? head.call(this) : head) || {};
+            const htmlAttrs = metaInfo.htmlAttrs || {};
+
+            if (!scrollBlocker.isEnabled) {
+                return metaInfo;
+            }
+
+            return {
+                ...metaInfo,
+                htmlAttrs: { ...htmlAttrs, class: [ ...[].concat(htmlAttrs.class || []), scrollBlocker.className ].join(' ') }
+            };
+        };
+        beforeNuxtRender(({ nuxtState }) => {
+            nuxtState.scrollBlocker = scrollBlocker.serialize();
+        });
+    } else if (nuxtState && nuxtState.scrollBlocker) {
+        scrollBlocker.hydrate(nuxtState.scrollBlocker);
+    }
+
+    if (shouldReleaseOnNavigation && app.router) {
+        releaseOnNavigation(app.router, scrollBlocker);
+    }
+
+    inject('scrollBlocker', scrollBlocker);
 
 };
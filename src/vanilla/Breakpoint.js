@@ -0,0 +1,115 @@
+import { hasDom } from './environment';
+
+/**
+ * Matches a number or a length without media feature, e.g. `800`, `800px` or `64em`.
+ * @type {RegExp}
+ */
+const LENGTH_PATTERN = /^(\d*\.?\d+)([a-z]*)$/i;
+
+/**
+ * Evaluates a breakpoint with `window.matchMedia`. Numbers and lengths keep their former meaning,
+ * the breakpoint matches while the viewport is narrower, any other string is used as media query. Without DOM, e.g. during server side rendering,
+ * the breakpoint never matches.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class Breakpoint
+ */
+export class Breakpoint {
+
+    /**
+     * Holds the breakpoint the instance was created with.
+     * @private
+     * @type {string|number}
+     */
+    #value;
+
+    /**
+     * Holds the media query list of the breakpoint, `undefined` without DOM.
+     * @private
+     * @type {MediaQueryList|undefined}
+     */
+    #mediaQueryList;
+
+    /**
+     * Converts a breakpoint into a media query. Numbers and lengths are converted into a query that matches while the viewport is narrower.
+     * @static
+     * @param {string|number} breakpoint - A number, a length like `800px` or `64em`, or a media query like `(hover: none)`.
+     * @return {string}
+     */
+    static toMediaQuery(breakpoint) {
+        const match = String(breakpoint).trim().match(LENGTH_PATTERN);
+
+        if (!match) {
+            return String(breakpoint);
+        }
+
+        return `not all and (min-width: ${match[1]}${match[2] || 'px'})`;
+    }
+
+    /**
+     * Creates an instance of Breakpoint.
+     * @param {string|number} breakpoint - A number, a length like `800px` or `64em`, or a media query like `(hover: none)`.
+     */
+    constructor(breakpoint) {
+        this.#value = breakpoint;
+        this.#mediaQueryList = hasDom() ? window.matchMedia(Breakpoint.toMediaQuery(breakpoint)) : undefined;
+    }
+
+    /**
+     * Returns the breakpoint the instance was created with.
+     * @return {string|number}
+     */
+    get value() {
+        return this.#value;
+    }
+
+    /**
+     * Returns the media query the breakpoint is evaluated with.
+     * @return {string}
+     */
+    get query() {
+        return this.#mediaQueryList ? this.#mediaQueryList.media : Breakpoint.toMediaQuery(this.#value);
+    }
+
+    /**
+     * Returns true if the breakpoint matches the current viewport.
+     * @return {boolean}
+     */
+    get matches() {
+        return Boolean(this.#mediaQueryList && this.#mediaQueryList.matches);
+    }
+
+    /**
+     * Registers a listener that is called whenever the breakpoint starts or stops matching.
+     * @param {function} listener
+     * @return {void}
+     */
+    watch(listener) {
+        if (!this.#mediaQueryList) {
+            return;
+        }
+
+        if (this.#mediaQueryList.addEventListener) {
+            this.#mediaQueryList.addEventListener('change', listener);
+        } else {
+            this.#mediaQueryList.addListener(listener);
+        }
+    }
+
+    /**
+     * Removes a listener registered with `watch()`.
+     * @param {function} listener
+     * @return {void}
+     */
+    unwatch(listener) {
+        if (!this.#mediaQueryList) {
+            return;
+        }
+
+        if (this.#mediaQueryList.removeEventListener) {
+            this.#mediaQueryList.removeEventListener('change', listener);
+        } else {
+            this.#mediaQueryList.removeListener(listener);
+        }
+    }
+}
@@ -0,0 +1,90 @@
+import { LOCK_MESSAGE, UNLOCK_MESSAGE } from './FrameHost';
+
+/**
+ * Requests and releases a lock on the ScrollBlocker of the parent page from within a child frame. The lock is released
+ * when the frame unloads. Does nothing when the page is not embedded in a frame.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class FrameClient
+ */
+export class FrameClient {
+
+    /**
+     * Holds the origin of the parent page the messages are posted to.
+     * @private
+     * @type {string}
+     */
+    #parentOrigin;
+
+    /**
+     * Holds whether a lock on the parent page has been requested.
+     * @default false
+     * @private
+     * @type {boolean}
+     */
+    #isLocked = false;
+
+    /**
+     * `window.pagehide` handler, releases the lock on the parent page when the frame unloads.
+     * @private
+     * @return {void}
+     */
+    #handlePageHide = () => {
+        this.unlock();
+    };
+
+    /**
+     * Creates an instance of FrameClient.
+     * @param {Object} param - An object containing parameters.
+     * @param {string} param.parentOrigin - The origin of the parent page, e.g. `https://shop.example.com`.
+     */
+    constructor({ parentOrigin }) {
+        this.#parentOrigin = parentOrigin;
+    }
+
+    /**
+     * Returns true while a lock on the parent page is requested.
+     * @return {boolean}
+     */
+    get isLocked() {
+        return this.#isLocked;
+    }
+
+    /**
+     * Returns true if the page is embedded in a frame.
+     * @private
+     * @return {boolean}
+     */
+    #isEmbedded() {
+        return window.parent !== window;
+    }
+
+    /**
+     * Requests a lock on the parent page. Does nothing if a lock is already requested.
+     * @param {boolean} [touch = false] - Whether the lock cancels touch scrolling of the parent page.
+     * @return {void}
+     */
+    lock(touch = false) {
+        if (this.#isLocked || !this.#isEmbedded()) {
+            return;
+        }
+
+        window.parent.postMessage({ type: LOCK_MESSAGE, touch }, this.#parentOrigin);
+        window.addEventListener('pagehide', this.#handlePageHide);
+        this.#isLocked = true;
+    }
+
+    /**
+     * Releases the lock on the parent page. Does nothing if no lock is requested.
+     * @return {void}
+     */
+    unlock() {
+        if (!this.#isLocked) {
+            return;
+        }
+
+        window.parent.postMessage({ type: UNLOCK_MESSAGE }, this.#parentOrigin);
+        window.removeEventListener('pagehide', this.#handlePageHide);
+        this.#isLocked = false;
+    }
+}
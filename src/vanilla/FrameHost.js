@@ -0,0 +1,224 @@
+/**
+ * Holds the type of the message a child frame posts to request a lock on the parent page.
+ * @type {string}
+ */
+export const LOCK_MESSAGE = 'scroll-blocker:frame-lock';
+
+/**
+ * Holds the type of the message a child frame posts to release its lock on the parent page.
+ * @type {string}
+ */
+export const UNLOCK_MESSAGE = 'scroll-blocker:frame-unlock';
+
+/**
+ * A function that is called when a child frame requests or releases its lock.
+ * @function
+ * @name TypeFnFrameMessage
+ * @param {Object} param - An object containing parameters.
+ * @param {HTMLIFrameElement|Window} param.frame - The `iframe` element of the child frame, its window if no element is found.
+ * @param {string} param.origin - The origin of the child frame.
+ * @param {boolean} param.touch - Whether the lock should cancel touch scrolling.
+ * @return {void}
+ */
+
+/**
+ * Receives the lock requests of child frames while it is started. Only messages from the allowed origins are accepted.
+ * The lock of a frame is also released when its `iframe` element is removed from the document, since the frame may not be able to post
+ * its unlock message then. A frame that loads another document releases its lock itself on `pagehide`.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class FrameHost
+ */
+export class FrameHost {
+
+    /**
+     * Holds the origins child frames are allowed to request locks from.
+     * @private
+     * @type {Array<string>}
+     */
+    #allowedOrigins;
+
+    /**
+     * Holds the function that is called when a child frame requests a lock.
+     * @private
+     * @type {TypeFnFrameMessage}
+     */
+    #onLock;
+
+    /**
+     * Holds the function that is called when a child frame releases its lock.
+     * @private
+     * @type {TypeFnFrameMessage}
+     */
+    #onUnlock;
+
+    /**
+     * Holds whether the message listener is registered.
+     * @default false
+     * @private
+     * @type {boolean}
+     */
+    #isStarted = false;
+
+    /**
+     * Holds the origins of the `iframe` elements whose frames requested a lock.
+     * @private
+     * @type {Map<HTMLIFrameElement, string>}
+     */
+    #lockedFrames = new Map();
+
+    /**
+     * Holds the observer releasing the locks of removed `iframe` elements, only created while a frame holds a lock.
+     * @private
+     * @type {MutationObserver|undefined}
+     */
+    #mutationObserver;
+
+    /**
+     * Mutation handler, releases the locks of `iframe` elements that have been removed from the document.
+     * @private
+     * @return {void}
+     */
+    #handleMutation = () => {
+        [...this.#lockedFrames.keys()]
+            .filter(frame => !frame.isConnected)
+            .forEach(frame => this.#releaseFrame(frame));
+    };
+
+    /**
+     * `window.message` handler, passes lock requests of allowed origins on. Unlock messages of frames whose lock has already been released are ignored.
+     * @private
+     * @param {MessageEvent} event
+     * @return {void}
+     */
+    #handleMessage = event => {
+        const { data, origin, source } = event;
+
+        if (!data || ![ LOCK_MESSAGE, UNLOCK_MESSAGE ].includes(data.type) || !this.#allowedOrigins.includes(origin)) {
+            return;
+        }
+
+        const message = {
+            frame: this.#findFrame(source),
+            origin,
+            touch: Boolean(data.touch)
+        };
+
+        if (data.type === LOCK_MESSAGE) {
+            this.#trackFrame(message.frame, origin);
+            this.#onLock(message);
+        } else if (this.#lockedFrames.has(message.frame) || !(message.frame instanceof window.HTMLIFrameElement)) {
+            this.#untrackFrame(message.frame);
+            this.#onUnlock(message);
+        }
+    };
+
+    /**
+     * Creates an instance of FrameHost.
+     * @param {Object} param - An object containing parameters.
+     * @param {Array<string>} param.allowedOrigins - The origins child frames are allowed to request locks from, e.g. `https://checkout.example.com`.
+     * @param {TypeFnFrameMessage} param.onLock - A function that is called when a child frame requests a lock.
+     * @param {TypeFnFrameMessage} param.onUnlock - A function that is called when a child frame releases its lock.
+     */
+    constructor({ allowedOrigins, onLock, onUnlock }) {
+        this.#allowedOrigins = allowedOrigins;
+        this.#onLock = onLock;
+        this.#onUnlock = onUnlock;
+    }
+
+    /**
+     * Returns true while the message listener is registered.
+     * @return {boolean}
+     */
+    get isStarted() {
+        return this.#isStarted;
+    }
+
+    /**
+     * Returns the `iframe` element whose window posted a message, the window itself if no element is found.
+     * @private
+     * @param {Window} source - The source of a message.
+     * @return {HTMLIFrameElement|Window}
+     */
+    #findFrame(source) {
+        return [...document.querySelectorAll('iframe')].find(frame => frame.contentWindow === source) || source;
+    }
+
+    /**
+     * Watches the document for the removal of the `iframe` element of a frame that requested a lock.
+     * Does nothing if no element was found for the frame.
+     * @private
+     * @param {HTMLIFrameElement|Window} frame
+     * @param {string} origin - The origin of the frame.
+     * @return {void}
+     */
+    #trackFrame(frame, origin) {
+        if (!(frame instanceof window.HTMLIFrameElement) || this.#lockedFrames.has(frame)) {
+            return;
+        }
+
+        this.#lockedFrames.set(frame, origin);
+
+        if (!this.#mutationObserver) {
+            this.#mutationObserver = new window.MutationObserver(this.#handleMutation);
+            this.#mutationObserver.observe(document.documentElement, { childList: true, subtree: true });
+        }
+    }
+
+    /**
+     * Stops tracking the `iframe` element of a frame, and watching the document when no other frame holds a lock.
+     * @private
+     * @param {HTMLIFrameElement|Window} frame
+     * @return {void}
+     */
+    #untrackFrame(frame) {
+        if (!this.#lockedFrames.delete(frame)) {
+            return;
+        }
+
+        if (!this.#lockedFrames.size) {
+            this.#mutationObserver.disconnect();
+            this.#mutationObserver = undefined;
+        }
+    }
+
+    /**
+     * Releases the lock of a frame on its behalf.
+     * @private
+     * @param {HTMLIFrameElement} frame
+     * @return {void}
+     */
+    #releaseFrame(frame) {
+        const origin = this.#lockedFrames.get(frame);
+
+        this.#untrackFrame(frame);
+        this.#onUnlock({ frame, origin, touch: false });
+    }
+
+    /**
+     * Registers the message listener on `window`. Does nothing if it is already registered.
+     * @return {void}
+     */
+    start() {
+        if (this.#isStarted) {
+            return;
+        }
+
+        window.addEventListener('message', this.#handleMessage);
+        this.#isStarted = true;
+    }
+
+    /**
+     * Removes the message listener from `window` and stops watching the `iframe` elements.
+     * @return {void}
+     */
+    stop() {
+        if (!this.#isStarted) {
+            return;
+        }
+
+        [...this.#lockedFrames.keys()].forEach(frame => this.#untrackFrame(frame));
+        window.removeEventListener('message', this.#handleMessage);
+        this.#isStarted = false;
+    }
+}
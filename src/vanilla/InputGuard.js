@@ -0,0 +1,212 @@
+import { ScrollableElements } from './ScrollableElements';
+
+/**
+ * A function that returns the currently blocked scroll containers.
+ * @function
+ * @name TypeFnGetTargets
+ * @return {Iterable<HTMLElement>}
+ */
+
+/**
+ * Holds the keys that scroll the page with their vertical direction, negative when scrolling up. The space key scrolls up with the shift key.
+ * @type {Map<string, number>}
+ */
+const SCROLL_KEYS = new Map([
+    [ 'ArrowUp', -1 ],
+    [ 'ArrowDown', 1 ],
+    [ 'ArrowLeft', 0 ],
+    [ 'ArrowRight', 0 ],
+    [ 'PageUp', -1 ],
+    [ 'PageDown', 1 ],
+    [ 'Home', -1 ],
+    [ 'End', 1 ],
+    [ ' ', 1 ]
+]);
+
+/**
+ * Holds the selector of the interactive elements that are activated with the space key.
+ * @type {string}
+ */
+const INTERACTIVE_SELECTOR = [
+    'button',
+    'a[href]',
+    'summary',
+    'input',
+    'select',
+    'textarea',
+    '[role="button"]',
+    '[role="checkbox"]',
+    '[role="link"]',
+    '[role="menuitem"]',
+    '[role="option"]',
+    '[role="radio"]',
+    '[role="switch"]',
+    '[role="tab"]'
+].join(', ');
+
+/**
+ * Cancels the user input that scrolls the blocked scroll containers while it is started: mouse wheel, scroll keys and middle-click autoscroll.
+ * Leaves the overflow and scrollbars untouched. Registered scrollable elements can still be scrolled with the mouse wheel and the keyboard.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class InputGuard
+ */
+export class InputGuard {
+
+    /**
+     * Holds the elements that are still allowed to be scrolled.
+     * @private
+     * @type {ScrollableElements}
+     */
+    #scrollableElements;
+
+    /**
+     * Holds the function that returns the currently blocked scroll containers.
+     * @private
+     * @type {TypeFnGetTargets}
+     */
+    #getTargets;
+
+    /**
+     * Holds whether the input listeners are registered.
+     * @default false
+     * @private
+     * @type {boolean}
+     */
+    #isStarted = false;
+
+    /**
+     * `document.wheel` handler, cancels the event unless it scrolls a registered element that has not reached its edge.
+     * The wheel with a pressed control or meta key zooms the page, like the pinch gesture of a trackpad, and is left alone.
+     * @private
+     * @param {WheelEvent} event
+     * @return {void}
+     */
+    #handleWheel = event => {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || !this.#isBlocked(event.target)) {
+            return;
+        }
+
+        const element = this.#scrollableElements.find(event.target);
+
+        if (!element || !this.#scrollableElements.canScroll(element, event.deltaY)) {
+            event.preventDefault();
+        }
+    };
+
+    /**
+     * `document.keydown` handler, cancels scroll keys unless they are pressed in an editable element or a registered element that has not reached its edge.
+     * Keyboard shortcuts with a modifier key and the space key on interactive elements, e.g. to press a button, are left alone.
+     * @private
+     * @param {KeyboardEvent} event
+     * @return {void}
+     */
+    #handleKeyDown = event => {
+        if (event.defaultPrevented || !SCROLL_KEYS.has(event.key) || event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+
+        if (!this.#isBlocked(event.target) || this.#isEditable(event.target) || (event.key === ' ' && this.#isInteractive(event.target))) {
+            return;
+        }
+
+        const element = this.#scrollableElements.find(event.target);
+        const direction = event.key === ' ' && event.shiftKey ? -1 : SCROLL_KEYS.get(event.key);
+
+        if (!element || !this.#scrollableElements.canScroll(element, direction)) {
+            event.preventDefault();
+        }
+    };
+
+    /**
+     * `document.mousedown` handler, cancels the middle-click autoscroll.
+     * @private
+     * @param {MouseEvent} event
+     * @return {void}
+     */
+    #handleMouseDown = event => {
+        if (event.button === 1 && this.#isBlocked(event.target)) {
+            event.preventDefault();
+        }
+    };
+
+    /**
+     * Creates an instance of InputGuard.
+     * @param {Object} param - An object containing parameters.
+     * @param {TypeFnGetTargets} param.getTargets - A function that returns the currently blocked scroll containers.
+     * @param {ScrollableElements} [param.scrollableElements] - The elements that are still allowed to be scrolled.
+     */
+    constructor({ getTargets, scrollableElements = new ScrollableElements() }) {
+        this.#getTargets = getTargets;
+        this.#scrollableElements = scrollableElements;
+    }
+
+    /**
+     * Returns true while the input listeners are registered.
+     * @return {boolean}
+     */
+    get isStarted() {
+        return this.#isStarted;
+    }
+
+    /**
+     * Returns true if the given node is inside of a blocked scroll container.
+     * @private
+     * @param {Node} node - The target of an event.
+     * @return {boolean}
+     */
+    #isBlocked(node) {
+        return [...this.#getTargets()].some(target => target.contains(node));
+    }
+
+    /**
+     * Returns true if the given node is a form field or an editable element, where scroll keys move the caret.
+     * @private
+     * @param {Node} node - The target of an event.
+     * @return {boolean}
+     */
+    #isEditable(node) {
+        return node instanceof window.HTMLElement &&
+            (node.isContentEditable || [ 'INPUT', 'TEXTAREA', 'SELECT' ].includes(node.tagName));
+    }
+
+    /**
+     * Returns true if the given node is a button, link or any other element that is activated with the space key.
+     * @private
+     * @param {Node} node - The target of an event.
+     * @return {boolean}
+     */
+    #isInteractive(node) {
+        return node instanceof window.Element && Boolean(node.closest(INTERACTIVE_SELECTOR));
+    }
+
+    /**
+     * Registers the input listeners on `document`. Does nothing if they are already registered.
+     * @return {void}
+     */
+    start() {
+        if (this.#isStarted) {
+            return;
+        }
+
+        document.addEventListener('wheel', this.#handleWheel, { passive: false });
+        document.addEventListener('keydown', this.#handleKeyDown);
+        document.addEventListener('mousedown', this.#handleMouseDown);
+        this.#isStarted = true;
+    }
+
+    /**
+     * Removes the input listeners from `document`.
+     * @return {void}
+     */
+    stop() {
+        if (!this.#isStarted) {
+            return;
+        }
+
+        document.removeEventListener('wheel', this.#handleWheel, { passive: false });
+        document.removeEventListener('keydown', this.#handleKeyDown);
+        document.removeEventListener('mousedown', this.#handleMouseDown);
+        this.#isStarted = false;
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Watches the page lifecycle while it is started: calls `onResume` when the page is restored from the back-forward cache
+ * and when the page becomes visible again, e.g. to release stale locks.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class LifecycleGuard
+ */
+export class LifecycleGuard {
+
+    /**
+     * Holds the function that is called when the page is restored or becomes visible.
+     * @private
+     * @type {function}
+     */
+    #onResume;
+
+    /**
+     * Holds whether the lifecycle listeners are registered.
+     * @default false
+     * @private
+     * @type {boolean}
+     */
+    #isStarted = false;
+
+    /**
+     * `window.pageshow` handler, calls `onResume` when the page has been restored from the back-forward cache.
+     * @private
+     * @param {PageTransitionEvent} event
+     * @return {void}
+     */
+    #handlePageShow = event => {
+        if (event.persisted) {
+            this.#onResume();
+        }
+    };
+
+    /**
+     * `document.visibilitychange` handler, calls `onResume` when the page becomes visible.
+     * @private
+     * @return {void}
+     */
+    #handleVisibilityChange = () => {
+        if (document.visibilityState === 'visible') {
+            this.#onResume();
+        }
+    };
+
+    /**
+     * Creates an instance of LifecycleGuard.
+     * @param {Object} param - An object containing parameters.
+     * @param {function} param.onResume - A function that is called when the page is restored from the back-forward cache or becomes visible.
+     */
+    constructor({ onResume }) {
+        this.#onResume = onResume;
+    }
+
+    /**
+     * Returns true while the lifecycle listeners are registered.
+     * @return {boolean}
+     */
+    get isStarted() {
+        return this.#isStarted;
+    }
+
+    /**
+     * Registers the lifecycle listeners on `window` and `document`. Does nothing if they are already registered.
+     * @return {void}
+     */
+    start() {
+        if (this.#isStarted) {
+            return;
+        }
+
+        window.addEventListener('pageshow', this.#handlePageShow);
+        document.addEventListener('visibilitychange', this.#handleVisibilityChange);
+        this.#isStarted = true;
+    }
+
+    /**
+     * Removes the lifecycle listeners from `window` and `document`.
+     * @return {void}
+     */
+    stop() {
+        if (!this.#isStarted) {
+            return;
+        }
+
+        window.removeEventListener('pageshow', this.#handlePageShow);
+        document.removeEventListener('visibilitychange', this.#handleVisibilityChange);
+        this.#isStarted = false;
+    }
+}
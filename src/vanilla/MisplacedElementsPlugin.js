@@ -0,0 +1,136 @@
+/**
+ * Compensates the misplaced elements of a blocked scroll container by setting their `property` to the width of the removed scrollbar.
+ * Used by every ScrollBlocker, the misplaced elements are gathered from the options and the locks into `state.misplacedElements`.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class MisplacedElementsPlugin
+ */
+export class MisplacedElementsPlugin {
+
+    /**
+     * Holds the nodes and properties that are compensated per scroll container.
+     * @private
+     * @type {WeakMap<TargetState, Array<{node: HTMLElement, property: string}>>}
+     */
+    #compensated = new WeakMap();
+
+    /**
+     * Holds the scroll containers whose misplaced elements are synced in the next animation frame.
+     * @private
+     * @type {WeakSet<TargetState>}
+     */
+    #pending = new WeakSet();
+
+    /**
+     * Returns the name of the plugin.
+     * @return {string}
+     */
+    get name() {
+        return 'misplaced-elements';
+    }
+
+    /**
+     * Compensates the misplaced elements after the scroll container has been blocked, unless its scrollbar is not compensated.
+     * @param {PluginContext} context
+     * @return {void}
+     */
+    afterAdjustElementPositions(context) {
+        const { state, compensates } = context;
+
+        if (!compensates) {
+            return;
+        }
+
+        this.#compensated.set(state, []);
+        this.#sync(context);
+    }
+
+    /**
+     * Resolves the misplaced elements of the blocked scroll container again, so elements of added locks and newly marked elements get compensated
+     * and the ones that are no longer misplaced get reset.
+     * @param {PluginContext} context
+     * @return {void}
+     */
+    update(context) {
+        if (this.#compensated.has(context.state)) {
+            this.#sync(context);
+        }
+    }
+
+    /**
+     * Resets the misplaced elements before the scroll container gets unblocked.
+     * @param {PluginContext} context
+     * @return {void}
+     */
+    beforeRestoreElementPositions({ state, restoreStyle }) {
+        if (!this.#compensated.has(state)) {
+            return;
+        }
+
+        this.#compensated.get(state).forEach(({ node, property }) => restoreStyle(node, property));
+        this.#compensated.delete(state);
+    }
+
+    /**
+     * Executes the functions returning misplaced elements and returns every node with its property. Invalid misplaced elements are ignored with a warning.
+     * @private
+     * @param {Array<TypeFnGetMisplacedElements>} misplacedElements
+     * @param {function} warn
+     * @return {Array<{node: HTMLElement, property: string}>}
+     */
+    #resolve(misplacedElements, warn) {
+        return misplacedElements
+            .map(fn => typeof fn === 'function' ? fn() : fn)
+            .flat()
+            .filter(misplacedElement => {
+                const isValid = Boolean(misplacedElement && misplacedElement.element && typeof misplacedElement.property === 'string');
+
+                if (!isValid) {
+                    warn('Ignoring an invalid misplaced element, expected an object with `element` and `property`.', misplacedElement);
+                }
+
+                return isValid;
+            })
+            .flatMap(({ element, property }) => {
+                const nodes = element instanceof window.NodeList ? [...element] : [element];
+
+                return nodes.map(node => ({ node, property }));
+            });
+    }
+
+    /**
+     * Compensates the `property` of every resolved misplaced element with the width of the removed scrollbar in the next animation frame,
+     * margins and paddings keep their own value. Previously compensated elements that are no longer misplaced get their original inline style back.
+     * Syncs requested before the animation frame are done once.
+     * @private
+     * @param {PluginContext} context
+     * @return {void}
+     */
+    #sync({ state, compensateStyle, restoreStyle, requestAnimationFrame, warn }) {
+        if (this.#pending.has(state)) {
+            return;
+        }
+
+        this.#pending.add(state);
+        requestAnimationFrame(() => {
+            this.#pending.delete(state);
+
+            if (!this.#compensated.has(state)) {
+                return;
+            }
+
+            const isSame = a => b => a.node === b.node && a.property === b.property;
+            const compensated = this.#compensated.get(state);
+            const resolved = this.#resolve(state.misplacedElements, warn);
+
+            compensated
+                .filter(item => !resolved.some(isSame(item)))
+                .forEach(({ node, property }) => restoreStyle(node, property));
+            resolved
+                .filter(item => !compensated.some(isSame(item)))
+                .forEach(({ node, property }) => compensateStyle(node, property, state.scrollbarWidth));
+
+            this.#compensated.set(state, resolved);
+        });
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * Holds the name of the data attribute marking elements that block the scrolling while they are visible.
+ * `data-scroll-block="false"` excludes a dialog or popover from being observed.
+ * @type {string}
+ */
+const BLOCK_ATTRIBUTE = 'data-scroll-block';
+
+/**
+ * Matches the elements that can be overlays.
+ * @type {string}
+ */
+const OVERLAY_SELECTOR = `dialog, [popover], [${BLOCK_ATTRIBUTE}]`;
+
+/**
+ * A function that is called with an overlay that has been opened or closed.
+ * @function
+ * @name TypeFnOverlayChange
+ * @param {HTMLElement} element - The overlay.
+ * @return {void}
+ */
+
+/**
+ * Watches the document for open overlays while it is started: `<dialog>` elements with the `open` attribute, open popovers
+ * and visible elements marked with `data-scroll-block`.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class OverlayObserver
+ */
+export class OverlayObserver {
+
+    /**
+     * Holds the function that is called when an overlay has been opened.
+     * @private
+     * @type {TypeFnOverlayChange}
+     */
+    #onOpen;
+
+    /**
+     * Holds the function that is called when an overlay has been closed.
+     * @private
+     * @type {TypeFnOverlayChange}
+     */
+    #onClose;
+
+    /**
+     * Holds the overlays that are currently open.
+     * @private
+     * @type {Set<HTMLElement>}
+     */
+    #openElements = new Set();
+
+    /**
+     * Holds the observer of the attributes and children of the document.
+     * @private
+     * @type {MutationObserver|undefined}
+     */
+    #mutationObserver;
+
+    /**
+     * Mutation handler, updates the open overlays when any of the mutations can have opened or closed one.
+     * @private
+     * @param {Array<MutationRecord>} records
+     * @return {void}
+     */
+    #handleMutations = records => {
+        if (records.some(record => this.#isRelevant(record))) {
+            this.update();
+        }
+    };
+
+    /**
+     * `document.toggle` and `document.close` handler, updates the open overlays.
+     * @private
+     * @return {void}
+     */
+    #handleChange = () => {
+        this.update();
+    };
+
+    /**
+     * `document.cancel` handler, updates the open overlays after the dialog has been closed, unless closing has been prevented.
+     * @private
+     * @return {void}
+     */
+    #handleCancel = () => {
+        window.setTimeout(() => this.update());
+    };
+
+    /**
+     * Creates an instance of OverlayObserver.
+     * @param {Object} param - An object containing parameters.
+     * @param {TypeFnOverlayChange} param.onOpen - A function that is called when an overlay has been opened.
+     * @param {TypeFnOverlayChange} param.onClose - A function that is called when an overlay has been closed.
+     */
+    constructor({ onOpen, onClose }) {
+        this.#onOpen = onOpen;
+        this.#onClose = onClose;
+    }
+
+    /**
+     * Returns true while the document is observed.
+     * @return {boolean}
+     */
+    get isStarted() {
+        return Boolean(this.#mutationObserver);
+    }
+
+    /**
+     * Returns true if the popover is open. Returns false where the Popover API is not supported.
+     * @private
+     * @param {HTMLElement} element - An element with the `popover` attribute.
+     * @return {boolean}
+     */
+    #isOpenPopover(element) {
+        try {
+            return element.matches(':popover-open');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Returns true if the element is rendered.
+     * @private
+     * @param {HTMLElement} element
+     * @return {boolean}
+     */
+    #isVisible(element) {
+        if (typeof element.checkVisibility === 'function') {
+            return element.checkVisibility({ visibilityProperty: true });
+        }
+
+        return !element.closest('[hidden]') && window.getComputedStyle(element).display !== 'none';
+    }
+
+    /**
+     * Returns true if the mutation can have opened or closed an overlay: a dialog or a marked element was added or removed, the `open`
+     * attribute of a dialog or the `data-scroll-block` attribute changed, or a marked element or one of its ancestors was shown or hidden,
+     * e.g. by a class of `body` like `menu-open`. Style and class changes of `documentElement` and `body` are therefore only ignored
+     * while the document contains no marked element.
+     * @private
+     * @param {MutationRecord} record
+     * @return {boolean}
+     */
+    #isRelevant({ type, target, attributeName, addedNodes, removedNodes }) {
+        const isOverlay = node => node instanceof window.Element && Boolean(node.matches(OVERLAY_SELECTOR) || node.querySelector(OVERLAY_SELECTOR));
+
+        if (type === 'childList') {
+            return [ ...addedNodes, ...removedNodes ].some(isOverlay);
+        }
+
+        if (attributeName === 'open') {
+            return target.localName === 'dialog';
+        }
+
+        if (attributeName === BLOCK_ATTRIBUTE) {
+            return true;
+        }
+
+        return Boolean(target.matches(`[${BLOCK_ATTRIBUTE}]`) || target.querySelector(`[${BLOCK_ATTRIBUTE}]`));
+    }
+
+    /**
+     * Returns the overlays that are currently open.
+     * @private
+     * @return {Array<HTMLElement>}
+     */
+    #findOpenElements() {
+        const isExcluded = element => element.getAttribute(BLOCK_ATTRIBUTE) === 'false';
+        const dialogs = [...document.querySelectorAll('dialog[open]')];
+        const popovers = [...document.querySelectorAll('[popover]')].filter(element => this.#isOpenPopover(element));
+        const markedElements = [...document.querySelectorAll(`[${BLOCK_ATTRIBUTE}]`)].filter(element => this.#isVisible(element));
+
+        return [...new Set([ ...dialogs, ...popovers, ...markedElements ])].filter(element => !isExcluded(element));
+    }
+
+    /**
+     * Compares the open overlays with the previously open ones and calls `onOpen` and `onClose` accordingly.
+     * @return {void}
+     */
+    update() {
+        if (!this.isStarted) {
+            return;
+        }
+
+        const openElements = this.#findOpenElements();
+        const closedElements = [...this.#openElements].filter(element => !openElements.includes(element));
+
+        closedElements.forEach(element => {
+            this.#openElements.delete(element);
+            this.#onClose(element);
+        });
+
+        openElements
+            .filter(element => !this.#openElements.has(element))
+            .forEach(element => {
+                this.#openElements.add(element);
+                this.#onOpen(element);
+            });
+    }
+
+    /**
+     * Starts observing the document and calls `onOpen` for the overlays that are already open. Does nothing if it is already started.
+     * @return {void}
+     */
+    start() {
+        if (this.isStarted) {
+            return;
+        }
+
+        this.#mutationObserver = new window.MutationObserver(this.#handleMutations);
+        this.#mutationObserver.observe(document.documentElement, {
+            subtree: true,
+            childList: true,
+            attributes: true,
+            attributeFilter: [ 'open', 'hidden', 'style', 'class', BLOCK_ATTRIBUTE ]
+        });
+        document.addEventListener('toggle', this.#handleChange, true);
+        document.addEventListener('close', this.#handleChange, true);
+        document.addEventListener('cancel', this.#handleCancel, true);
+        this.update();
+    }
+
+    /**
+     * Stops observing the document and calls `onClose` for the overlays that are still open.
+     * @return {void}
+     */
+    stop() {
+        if (!this.isStarted) {
+            return;
+        }
+
+        this.#mutationObserver.disconnect();
+        this.#mutationObserver = undefined;
+        document.removeEventListener('toggle', this.#handleChange, true);
+        document.removeEventListener('close', this.#handleChange, true);
+        document.removeEventListener('cancel', this.#handleCancel, true);
+
+        this.#openElements.forEach(element => this.#onClose(element));
+        this.#openElements.clear();
+    }
+}
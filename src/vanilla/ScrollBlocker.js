@@ -1,3 +1,36 @@
+import { hasDom } from './environment';
+import { FrameClient } from './FrameClient';
+import { FrameHost } from './FrameHost';
+import { InputGuard } from './InputGuard';
+import { LifecycleGuard } from './LifecycleGuard';
+import { MisplacedElementsPlugin } from './MisplacedElementsPlugin';
+import { OverlayObserver } from './OverlayObserver';
+import { ScrollableElements } from './ScrollableElements';
+import { ScrollLock } from './ScrollLock';
+import { TouchGuard } from './TouchGuard';
+
+/**
+ * Holds the global symbol the shared instance is registered with. Separately bundled copies of the ScrollBlocker, even of different
+ * package versions, share the instance as long as they use the same symbol. Increase its version on incompatible changes of the public interface.
+ * @type {symbol}
+ */
+const REGISTRY_KEY = Symbol.for('@this/scroll-blocker/v1');
+
+/**
+ * Holds the name of the data attribute of declarative triggers, see `bind()`.
+ * @type {string}
+ */
+const TRIGGER_ATTRIBUTE = 'data-scroll-blocker';
+
+/**
+ * Converts a list of CSS times like `0.3s, 200ms` into milliseconds.
+ * @param {string} value - A computed `transition-duration`, `transition-delay`, `animation-duration` or `animation-delay`.
+ * @return {Array<number>}
+ */
+const toMilliseconds = value => String(value || '0s')
+    .split(',')
+    .map(time => parseFloat(time) * (time.trim().endsWith('ms') ? 1 : 1000) || 0);
+
 /**
  * Contains information about an HTML element that will be misplaced when the scrollbar is removed and the property used to fix this.
  * @typedef {Object} MisplacedElement
@@ -5,11 +38,140 @@
  * @property {string} property - A CSS property used to fix the elements misplacement.
  */
 
+/**
+ * Holds the name of the data attribute marking elements that are misplaced when the scrollbar of the `documentElement` is removed.
+ * Its value is the CSS property used to fix the misplacement, `padding-right` when empty or `padding-left` for right-to-left documents.
+ * @type {string}
+ */
+const COMPENSATE_ATTRIBUTE = 'data-scroll-blocker-compensate';
+
+/**
+ * Holds the name of the CSS custom property set to the scrollbar width on blocked scroll containers.
+ * @type {string}
+ */
+const SCROLLBAR_WIDTH_PROPERTY = '--scroll-blocker-scrollbar-width';
+
+/**
+ * Holds the name of the CSS custom property set to the height of the horizontal scrollbar on blocked scroll containers.
+ * @type {string}
+ */
+const SCROLLBAR_HEIGHT_PROPERTY = '--scroll-blocker-scrollbar-height';
+
 /**
  * An Object representing the ScrollBlocker class constructor `options`.
  * @typedef {Object} Options
  * @property {Array<MisplacedElement>} misplacedElements - An array with elements that will to be misplaced when the scrollbar is removed.
  * @property {string} className - A classname string which will be set on the `documentElement` to block page scrolling.
+ * @property {string|number} [breakpoint] - The breakpoint of locks acquired without a breakpoint, see `enable()`.
+ * @property {boolean|string} [compensateFixedElements = false] - Whether all `position: fixed` and `position: sticky` elements are compensated
+ * when the scrollbar of the `documentElement` is removed. Either `true` to use `padding-right`, `padding-left` for right-to-left documents, or the CSS property to use.
+ * @property {string} [compensation] - How a blocked scroll container compensates its removed scrollbar: `margin`, `padding`, `gutter` to use
+ * `scrollbar-gutter: stable` where supported or `none`. Defaults to `margin` for the `documentElement` and `padding` for other scroll containers.
+ * @property {HTMLElement} [target] - The scroll container that is blocked by default, the `documentElement` when not provided.
+ * @property {boolean} [touch = false] - Whether locks cancel touch scrolling by default, see `enable()`.
+ * @property {string} [strategy = 'overflow'] - How the scrolling is blocked. `overflow` sets the `className` and compensates the removed scrollbar,
+ * `input` keeps the scrollbar visible and cancels mouse wheel, scroll keys and middle-click autoscroll instead.
+ * @property {boolean} [debug = false] - Records the call stack of every lock, exposes the instance as `window.__scrollBlocker__` and logs warnings on misuse.
+ * @property {number} [warnLockDuration = 30000] - The duration in milliseconds after which a lock that is still held is logged in debug mode, `0` to disable.
+ * @property {number} [maxLockDuration = 0] - The duration in milliseconds after which locks release themselves by default, `0` to hold them until they are released.
+ * @property {Array<string>} [frameOrigins = []] - The origins of child frames that are allowed to lock the page, see `parentOrigin`.
+ * @property {string} [parentOrigin] - The origin of the parent page. When set, the page locks its parent page as well while its `documentElement` is blocked.
+ * @property {TypeFnHook} [beforeLock] - Called before a scroll container gets blocked.
+ * @property {TypeFnHook} [afterLock] - Called after a scroll container has been blocked.
+ * @property {TypeFnHook} [beforeUnlock] - Called before a scroll container gets unblocked.
+ * @property {TypeFnHook} [afterUnlock] - Called after a scroll container has been unblocked.
+ * @property {Array<Plugin>} [plugins = []] - Plugins that are used in addition to the built-in ones, see `use()`.
+ * @property {boolean} [observeOverlays = false] - Whether open `<dialog>` elements, open popovers and visible elements with `data-scroll-block`
+ * acquire a lock automatically, which is released when they are closed, hidden or removed.
+ */
+
+/**
+ * Holds the state of a blocked scroll container.
+ * @typedef {Object} TargetState
+ * @property {HTMLElement} element - The blocked scroll container.
+ * @property {array<TypeFnGetMisplacedElements>} misplacedElements - The misplaced elements of the locks that block the scroll container.
+ * @property {number} scrollTop - The stored vertical scroll position of the scroll container.
+ * @property {number} scrollLeft - The stored horizontal scroll position of the scroll container.
+ * @property {number} scrollbarWidth - The width of the scrollbar that was removed from the scroll container.
+ * @property {number} scrollbarHeight - The height of the horizontal scrollbar that was removed from the scroll container.
+ * @property {string} scrollbarSide - The side the removed vertical scrollbar was compensated on, `Left` or `Right`.
+ */
+
+/**
+ * Contains information about the scroll blocking, passed to the event listeners and as `detail` of the events dispatched on `document`.
+ * @typedef {Object} EventDetail
+ * @property {string} type - The name of the event: `lock`, `unlock`, `breakpoint-suspend`, `breakpoint-resume` or `count-change`.
+ * @property {number} lockCount - The number of active locks.
+ * @property {string|number|undefined} breakpoint - The breakpoint of the lock that caused the event.
+ * @property {number} scrollbarWidth - The width of the scrollbar that was removed from the scroll container.
+ * @property {number} scrollbarHeight - The height of the horizontal scrollbar that was removed from the scroll container.
+ * @property {HTMLElement} target - The scroll container the event relates to.
+ */
+
+/**
+ * Describes a lock acquired during server side rendering, so it can be adopted on hydration.
+ * @typedef {Object} SerializedLock
+ * @property {string|number} owner - The owner key of the lock.
+ * @property {boolean} touch - Whether the lock cancels touch scrolling.
+ * @property {boolean} persistent - Whether the lock survives router navigations.
+ */
+
+/**
+ * Describes an active lock, returned by `inspect()`.
+ * @typedef {Object} LockInfo
+ * @property {*} owner - The owner key of the lock, `undefined` for anonymous locks.
+ * @property {string|undefined} label - The label of the lock.
+ * @property {HTMLElement|undefined} target - The scroll container the lock blocks.
+ * @property {string|number|undefined} breakpoint - The breakpoint of the lock.
+ * @property {boolean} matches - Whether the lock currently blocks its scroll container.
+ * @property {boolean} touch - Whether the lock cancels touch scrolling.
+ * @property {boolean} persistent - Whether the lock survives router navigations.
+ * @property {number} duration - The time in milliseconds since the lock was acquired.
+ * @property {string|undefined} stack - The call stack the lock was acquired from, only recorded in debug mode.
+ */
+
+/**
+ * A function that is called when the ScrollBlocker emits an event.
+ * @function
+ * @name TypeFnEventListener
+ * @param {EventDetail} detail - Information about the scroll blocking.
+ * @return {void}
+ */
+
+/**
+ * A function that is called before or after a scroll container gets blocked or unblocked, passed as `beforeLock`, `afterLock`,
+ * `beforeUnlock` or `afterUnlock` option. The `type` of the detail is the name of the hook.
+ * @function
+ * @name TypeFnHook
+ * @param {EventDetail} detail - Information about the scroll blocking.
+ * @return {void}
+ */
+
+/**
+ * Passed to the hooks of plugins, contains the state of the scroll container and helpers to change inline styles,
+ * which are restored by `destroy()` as well.
+ * @typedef {Object} PluginContext
+ * @property {ScrollBlocker} scrollBlocker - The ScrollBlocker the plugin is used by.
+ * @property {TargetState} state - The state of the scroll container.
+ * @property {boolean} compensates - Whether the removed scrollbar of the scroll container is compensated.
+ * @property {ReleaseOptions} [options] - How the scroll container gets unblocked, passed to the `RestoreElementPositions` hooks.
+ * @property {function(HTMLElement, string, string): void} setStyle - Sets an inline style and remembers its original value.
+ * @property {function(HTMLElement, string): void} restoreStyle - Restores the original value of an inline style.
+ * @property {function(HTMLElement, string, number): void} compensateStyle - Sets a margin or padding to its computed value plus the given
+ * number of pixels and any other property to the number of pixels, remembering its original value.
+ * @property {function(function): void} requestAnimationFrame - Requests an animation frame that is cancelled by `destroy()`.
+ * @property {function(string, ...*): void} warn - Logs a warning in debug mode.
+ */
+
+/**
+ * An object extending the ScrollBlocker, passed to `use()`. Every hook is optional and called with a PluginContext.
+ * The hook points are `AdjustElementPositions` and `AddClassName` when a scroll container gets blocked and `RemoveClassName`
+ * and `RestoreElementPositions` when it gets unblocked, each prefixed with `before` and `after`, e.g. `afterAddClassName`.
+ * `update` is called whenever the locks of a blocked scroll container are re-evaluated, e.g. when a lock was acquired or released.
+ * @typedef {Object} Plugin
+ * @property {string} [name] - The name of the plugin, a plugin with the same name is only used once.
+ * @property {function(ScrollBlocker): void} [install] - Called once when the plugin is used.
+ * @property {function(PluginContext): void} [update] - Called when the locks of a blocked scroll container are re-evaluated.
  */
 
 /**
@@ -27,14 +189,6 @@
  */
 export class ScrollBlocker {
 
-    /**
-     * Holds the instance of the ScrollBlocker class.
-     * @static
-     * @private
-     * @type {Object}
-     */
-    static #instance;
-
     /**
      * Holds the actually used options.
      * @default {}
@@ -44,34 +198,140 @@ export class ScrollBlocker {
     #options = {};
 
     /**
-     * Holds an array of HTML elements misplaced when scrollbar is removed.
+     * Holds the state of every blocked scroll container.
+     * @private
+     * @type {Map<HTMLElement, TargetState>}
+     */
+    #targets = new Map();
+
+    /**
+     * Holds the active locks whose breakpoint does not match the viewport.
+     * @private
+     * @type {Set<ScrollLock>}
+     */
+    #suspendedLocks = new Set();
+
+    /**
+     * Holds the locks that are released as soon as the `waitFor` of `disable()` settles. They are skipped when looking up a lock by its owner,
+     * so an owner that acquires a lock again in the meantime gets a new one.
+     * @private
+     * @type {Set<ScrollLock>}
+     */
+    #releasingLocks = new Set();
+
+    /**
+     * Holds the original inline styles of every element whose inline style has been changed, by property.
+     * @private
+     * @type {Map<HTMLElement, Map<string, string>>}
+     */
+    #inlineStyles = new Map();
+
+    /**
+     * Holds the ids of the requested animation frames that have not been executed yet.
+     * @private
+     * @type {Set<number>}
+     */
+    #animationFrames = new Set();
+
+    /**
+     * Holds the timeouts that warn about locks held longer than `warnLockDuration` in debug mode.
+     * @private
+     * @type {Map<ScrollLock, number>}
+     */
+    #lockWarnings = new Map();
+
+    /**
+     * Holds the registered event listeners by event name.
+     * @private
+     * @type {Map<string, Set<TypeFnEventListener>>}
+     */
+    #listeners = new Map();
+
+    /**
+     * Holds the currently active locks in the order they were acquired.
+     * @default []
+     * @private
+     * @type {Array<ScrollLock>}
+     */
+    #locks = [];
+
+    /**
+     * Holds the used plugins in the order their hooks are called.
      * @default []
      * @private
-     * @type {array<TypeFnGetMisplacedElements>}
+     * @type {Array<Plugin>}
+     */
+    #plugins = [];
+
+    /**
+     * Holds the helpers passed to the hooks of plugins as part of the PluginContext.
+     * @private
+     * @type {Object}
+     */
+    #pluginHelpers = {
+        setStyle: (element, property, value) => this.#setStyle(element, property, value),
+        restoreStyle: (element, property) => this.#restoreStyle(element, property),
+        compensateStyle: (element, property, pixels) => this.#compensateStyle(element, property, pixels),
+        requestAnimationFrame: callback => this.#requestAnimationFrame(callback),
+        warn: (message, ...details) => this.#warn(message, ...details)
+    };
+
+    /**
+     * Holds the elements that are still allowed to be scrolled while scrolling is blocked.
+     * @private
+     * @type {ScrollableElements}
+     */
+    #scrollableElements = new ScrollableElements();
+
+    /**
+     * Holds the guard cancelling touch scrolling while a lock with touch mode is active.
+     * @private
+     * @type {TouchGuard}
+     */
+    #touchGuard = new TouchGuard({
+        scrollableElements: this.#scrollableElements,
+        getTargets: () => this.#locks.filter(lock => lock.touch && lock.matches).map(lock => lock.target)
+    });
+
+    /**
+     * Holds the guard cancelling scrolling user input while a lock is active and the `input` strategy is used.
+     * @private
+     * @type {InputGuard}
+     */
+    #inputGuard = new InputGuard({
+        scrollableElements: this.#scrollableElements,
+        getTargets: () => this.#targets.keys()
+    });
+
+    /**
+     * Holds the guard releasing stale locks on page lifecycle changes while a lock is active.
+     * @private
+     * @type {LifecycleGuard}
      */
-    #misplacedElements = [];
+    #lifecycleGuard = new LifecycleGuard({
+        onResume: () => this.#validate()
+    });
 
     /**
-     * Holds the provided breakpoint string.
+     * Holds the receiver of lock requests from child frames, only created when `frameOrigins` are given.
      * @private
-     * @type {string|undefined}
+     * @type {FrameHost|undefined}
      */
-    #breakpoint;
+    #frameHost;
 
     /**
-     * Holds the timer created in the window.resize handler.
+     * Holds the sender of lock requests to the parent page, only created when a `parentOrigin` is given.
      * @private
-     * @type {number|undefined}
+     * @type {FrameClient|undefined}
      */
-    #resizeTimer;
+    #frameClient;
 
     /**
-     * Holds the number of times the scroll blocking has been enabled.
-     * @default 0
+     * Holds the observer acquiring locks for open overlays, only created when `observeOverlays` is enabled.
      * @private
-     * @type {number}
+     * @type {OverlayObserver|undefined}
      */
-    #numberOfCalls = 0;
+    #overlayObserver;
 
     /**
      * Creates an instance of ScrollBlocker.
@@ -82,203 +342,1359 @@ export class ScrollBlocker {
         this.#options = {
             className: 'has-no-scroll',
             misplacedElements: [],
+            touch: false,
+            strategy: 'overflow',
+            compensateFixedElements: false,
+            debug: false,
+            warnLockDuration: 30000,
+            maxLockDuration: 0,
+            frameOrigins: [],
+            plugins: [],
+            observeOverlays: false,
             ...options
         };
+
+        [ new MisplacedElementsPlugin(), ...this.#options.plugins ].forEach(plugin => this.use(plugin));
+
+        if (hasDom() && this.#options.frameOrigins.length > 0) {
+            this.#frameHost = new FrameHost({
+                allowedOrigins: this.#options.frameOrigins,
+                onLock: ({ frame, origin, touch }) => this.enable({ owner: frame, touch, label: `Frame ${origin}` }),
+                onUnlock: ({ frame }) => this.disable(frame)
+            });
+            this.#frameHost.start();
+        }
+
+        if (hasDom() && this.#options.parentOrigin) {
+            this.#frameClient = new FrameClient({ parentOrigin: this.#options.parentOrigin });
+        }
+
+        if (hasDom() && this.#options.observeOverlays) {
+            this.#overlayObserver = new OverlayObserver({
+                onOpen: element => {
+                    this.addScrollableElement(element);
+                    this.enable({ owner: element, label: `Overlay <${element.localName}>` });
+                },
+                onClose: element => {
+                    this.removeScrollableElement(element);
+                    this.disable(element);
+                }
+            });
+            this.#overlayObserver.start();
+        }
+
+        if (this.#options.debug && hasDom()) {
+            window.__scrollBlocker__ = this;
+        }
+    }
+
+    /**
+     * Returns the instance shared by every copy of the ScrollBlocker on the page, e.g. by a shell app and its micro-frontends.
+     * The instance is registered on `window` with a global symbol, so copies from other bundles coordinate through one lock count.
+     * Only the first call creates the instance, later `options` are ignored. Without DOM a new instance is returned for every call,
+     * so server side rendered requests do not share their locks.
+     * @static
+     * @param {Options} [options = {}] - The options the shared instance is created with.
+     * @return {ScrollBlocker}
+     */
+    static getInstance(options = {}) {
+        if (!hasDom()) {
+            return new ScrollBlocker(options);
+        }
+
+        if (!window[REGISTRY_KEY]) {
+            window[REGISTRY_KEY] = new ScrollBlocker(options);
+        }
+
+        return window[REGISTRY_KEY];
+    }
+
+    /**
+     * Wires up the triggers inside `root` with a delegated click listener, so overlays can be built from HTML without JavaScript.
+     * `data-scroll-blocker="lock"` acquires a lock owned by the trigger, `toggle` acquires or releases it and `unlock` releases the locks
+     * of every trigger inside `root`. `data-scroll-blocker-breakpoint` sets the breakpoint of the lock. Without DOM nothing is wired up.
+     * @static
+     * @param {Document|HTMLElement} [root = document] - The element the click listener is registered on.
+     * @param {ScrollBlocker} [scrollBlocker] - The ScrollBlocker the locks are acquired from, the shared instance when not provided.
+     * @return {function} - A function that removes the click listener and releases the locks of the triggers.
+     */
+    static bind(root, scrollBlocker) {
+        if (!hasDom()) {
+            return () => {};
+        }
+
+        const container = root || document;
+        const instance = scrollBlocker || ScrollBlocker.getInstance();
+        const locks = new Map();
+
+        const releaseAll = () => {
+            locks.forEach(lock => lock.release());
+            locks.clear();
+        };
+
+        const handleClick = event => {
+            const trigger = event.target instanceof window.Element ? event.target.closest(`[${TRIGGER_ATTRIBUTE}]`) : null;
+
+            if (!trigger || !container.contains(trigger)) {
+                return;
+            }
+
+            const action = trigger.getAttribute(TRIGGER_ATTRIBUTE);
+            const lock = locks.get(trigger);
+            const isLocked = Boolean(lock && lock.isActive);
+
+            if (action === 'unlock') {
+                releaseAll();
+            } else if (action === 'toggle' && isLocked) {
+                lock.release();
+                locks.delete(trigger);
+            } else if ([ 'lock', 'toggle' ].includes(action) && !isLocked) {
+                locks.set(trigger, instance.enable({
+                    owner: trigger,
+                    breakpoint: trigger.getAttribute(`${TRIGGER_ATTRIBUTE}-breakpoint`) || undefined,
+                    label: `Trigger ${trigger.id ? `#${trigger.id}` : `<${trigger.localName}>`}`
+                }));
+            }
+        };
+
+        container.addEventListener('click', handleClick);
+
+        return () => {
+            container.removeEventListener('click', handleClick);
+            releaseAll();
+        };
     }
 
     /**
-     * Returns true if the number of calls is greather than 0.
+     * Returns true if at least one scroll container is blocked, i.e. an active lock matches the viewport.
+     * Without DOM, e.g. during server side rendering, true if a lock without breakpoint is active.
      * @return {boolean}
      */
     get isEnabled() {
-        return this.#numberOfCalls > 0;
+        return hasDom() ? this.#targets.size > 0 : this.#locks.some(lock => lock.matches);
     }
 
     /**
-     * Checks whether the scroll lock should be enabled based on the breakpoint size.
-     * Returns true when no breakpoint is provided or breakpoint size is greater than `window.innerWidth`.
-     * @private
+     * Returns the class name that is set on blocked scroll containers, e.g. to render it into the HTML during server side rendering.
+     * @return {string}
+     */
+    get className() {
+        return this.#options.className;
+    }
+
+    /**
+     * Returns the number of active locks.
+     * @return {number}
+     */
+    get lockCount() {
+        return this.#locks.length;
+    }
+
+    /**
+     * Returns the owner keys of all active locks that were acquired with an owner.
+     * @return {Array<*>}
+     */
+    get owners() {
+        return this.#locks
+            .filter(lock => !lock.isAnonymous)
+            .map(lock => lock.owner);
+    }
+
+    /**
+     * Returns true if at least one lock is active on the given scroll container.
+     * @param {HTMLElement} [target] - A scroll container, the default target when not provided.
      * @return {boolean}
      */
-    #shouldBeLocked() {
-        return this.#breakpoint === undefined ||
-            parseInt(this.#breakpoint) > window.innerWidth;
+    isEnabledFor(target) {
+        return this.#targets.has(this.#resolveTarget(target));
     }
 
     /**
-     * Increases the number of calls by `1`.
-     * @private
+     * Allows the given element to be scrolled by touch or, with the `input` strategy, by mouse wheel and keyboard while scrolling is blocked, e.g. the body of a modal.
+     * @param {HTMLElement} element
      * @return {void}
      */
-    #increaseCount() {
-        this.#numberOfCalls = this.#numberOfCalls + 1;
+    addScrollableElement(element) {
+        this.#scrollableElements.add(element);
     }
 
     /**
-     * Decreases the number of calls by `1`.
-     * @private
+     * Removes the given element from the elements that are allowed to be scrolled.
+     * @param {HTMLElement} element
      * @return {void}
      */
-    #decreaseCount() {
-        this.#numberOfCalls = this.#numberOfCalls - 1;
+    removeScrollableElement(element) {
+        this.#scrollableElements.delete(element);
     }
 
     /**
-     * Sets the number of calls `0`.
-     * @private
+     * Registers a listener for an event of the scroll blocking. Every event is also dispatched as `CustomEvent` on `document`,
+     * prefixed with `scroll-blocker:`, e.g. `scroll-blocker:lock`.
+     * @param {string} type - `lock`, `unlock`, `breakpoint-suspend`, `breakpoint-resume` or `count-change`.
+     * @param {TypeFnEventListener} listener
+     * @return {function} - A function that removes the listener.
+     */
+    on(type, listener) {
+        if (!this.#listeners.has(type)) {
+            this.#listeners.set(type, new Set());
+        }
+
+        this.#listeners.get(type).add(listener);
+
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Removes a listener registered with `on()`.
+     * @param {string} type
+     * @param {TypeFnEventListener} listener
      * @return {void}
      */
-    #resetCount() {
-        this.#numberOfCalls = 0;
+    off(type, listener) {
+        if (this.#listeners.has(type)) {
+            this.#listeners.get(type).delete(listener);
+        }
     }
 
     /**
-     * When the scrollbar is visible, stores the current window scroll position and adjusts
-     * the placement of the misplaced elements. Does nothing if scrollbar is not visible.
+     * Calls the listeners of the given event and dispatches it as `CustomEvent` on `document`.
      * @private
+     * @param {string} type - The name of the event.
+     * @param {Object} [param = {}] - An object containing parameters.
+     * @param {TargetState} [param.state] - The state of the scroll container the event relates to.
+     * @param {ScrollLock} [param.lock] - The lock that caused the event.
      * @return {void}
      */
-    #adjustElementPositions() {
-        document.body.style.top = window.scrollY ? `-${window.scrollY}px` : '';
+    #emit(type, { state, lock } = {}) {
+        const detail = this.#createDetail(type, { state, lock });
 
-        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        if (this.#listeners.has(type)) {
+            [...this.#listeners.get(type)].forEach(listener => listener(detail));
+        }
 
-        if (scrollbarWidth <= 0) {
-            return;
+        if (hasDom()) {
+            document.dispatchEvent(new window.CustomEvent(`scroll-blocker:${type}`, { detail }));
         }
+    }
 
-        this.#adjustMisplacedElements(`${scrollbarWidth}px`);
+    /**
+     * Creates the information about the scroll blocking passed to event listeners and hooks.
+     * @private
+     * @param {string} type - The name of the event or hook.
+     * @param {Object} [param = {}] - An object containing parameters.
+     * @param {TargetState} [param.state] - The state of the scroll container the event relates to.
+     * @param {ScrollLock} [param.lock] - The lock that caused the event.
+     * @param {HTMLElement} [param.target] - The scroll container the event relates to when it has no state yet.
+     * @return {EventDetail}
+     */
+    #createDetail(type, { state, lock, target } = {}) {
+        return {
+            type,
+            lockCount: this.lockCount,
+            breakpoint: lock ? lock.breakpoint : undefined,
+            scrollbarWidth: state ? state.scrollbarWidth : 0,
+            scrollbarHeight: state ? state.scrollbarHeight : 0,
+            target: state ? state.element : (target || (lock ? lock.target : this.#resolveTarget()))
+        };
     }
 
     /**
-     * Restores the previously stored window scroll position.
+     * Calls the hook of the given name if it is passed as option.
      * @private
+     * @param {string} name - `beforeLock`, `afterLock`, `beforeUnlock` or `afterUnlock`.
+     * @param {Object} [param = {}] - Parameters passed to `#createDetail()`.
      * @return {void}
      */
-    #restoreElementPositions() {
-        this.#adjustMisplacedElements('');
+    #callHook(name, param = {}) {
+        if (typeof this.#options[name] === 'function') {
+            this.#options[name](this.#createDetail(name, param));
+        }
+    }
 
-        const bodyTop = parseInt(document.body.style.top);
-        const scrollTop = (bodyTop || 0) * -1;
+    /**
+     * Returns true if the scrolling is blocked by setting the class name and removing the scrollbar.
+     * @private
+     * @return {boolean}
+     */
+    #usesOverflowStrategy() {
+        return this.#options.strategy !== 'input';
+    }
 
-        document.body.style.top = null;
-        window.scrollTo(0, scrollTop);
+    /**
+     * Returns the given scroll container or the default target when none is given. Returns `undefined` without DOM.
+     * @private
+     * @param {HTMLElement} [target] - A scroll container.
+     * @return {HTMLElement|undefined}
+     */
+    #resolveTarget(target) {
+        return target || this.#options.target || (hasDom() ? document.documentElement : undefined);
     }
 
     /**
-     * Iterates over every `element` in `this.#misplacedElements` and sets its `property` to `value`. If element is a function that returns the list of misplaced elements, it will be executed before.
+     * Returns true if the given element is the documents root element.
      * @private
-     * @param {string} value - A property value
-     * @return {void}
+     * @param {HTMLElement} element - A scroll container.
+     * @return {boolean}
      */
-    #adjustMisplacedElements(value) {
-        document.documentElement.style.marginRight = value;
+    #isRoot(element) {
+        return element === document.documentElement;
+    }
 
-        window.requestAnimationFrame(() => {
+    /**
+     * Returns the width of the vertical scrollbar of the given scroll container.
+     * @private
+     * @param {HTMLElement} element - A scroll container.
+     * @return {number}
+     */
+    #getScrollbarWidth(element) {
+        if (this.#isRoot(element)) {
+            return window.innerWidth - document.documentElement.clientWidth;
+        }
 
-            this.#misplacedElements
-                .map( fn => typeof fn === 'function' ? fn() : fn )
-                .flat()
-                .filter(misplacedElement => misplacedElement && misplacedElement.element)
-                .forEach(({ element, property }) => {
+        const { borderLeftWidth, borderRightWidth } = window.getComputedStyle(element);
 
-                    if (element instanceof window.NodeList) {
-                        element.forEach(node => node.style[property] = value);
-                        return;
-                    }
+        return element.offsetWidth - element.clientWidth -
+            (parseFloat(borderLeftWidth) || 0) - (parseFloat(borderRightWidth) || 0);
+    }
 
-                    element.style[property] = value;
-                });
-        });
+    /**
+     * Returns the height of the horizontal scrollbar of the given scroll container, `0` when its content does not overflow horizontally.
+     * @private
+     * @param {HTMLElement} element - A scroll container.
+     * @return {number}
+     */
+    #getScrollbarHeight(element) {
+        if (element.scrollWidth <= element.clientWidth) {
+            return 0;
+        }
+
+        if (this.#isRoot(element)) {
+            return window.innerHeight - document.documentElement.clientHeight;
+        }
+
+        const { borderTopWidth, borderBottomWidth } = window.getComputedStyle(element);
+
+        return element.offsetHeight - element.clientHeight -
+            (parseFloat(borderTopWidth) || 0) - (parseFloat(borderBottomWidth) || 0);
     }
 
     /**
-     * Adds `this.#options.className` to `documentElement`s `classList`.
+     * Returns the side the vertical scrollbar of the given scroll container is placed on, `Left` for right-to-left content.
      * @private
-     * @return {void}
+     * @param {HTMLElement} element - A scroll container.
+     * @return {string} - `Left` or `Right`.
      */
-    #addClassName() {
-        document.documentElement.classList.add(this.#options.className);
+    #getScrollbarSide(element) {
+        return window.getComputedStyle(element).direction === 'rtl' ? 'Left' : 'Right';
     }
 
     /**
-     * Removes `this.#options.className` from `documentElement`s `classList`.
+     * Returns the active lock that matches the given lock or owner key. Locks that are about to be released are only found by passing the lock itself.
      * @private
-     * @return {void}
+     * @param {ScrollLock|*} lockOrOwner - A lock or an owner key.
+     * @return {ScrollLock|undefined}
      */
-    #removeClassName() {
-        document.documentElement.classList.remove(this.#options.className);
+    #findLock(lockOrOwner) {
+        if (lockOrOwner instanceof ScrollLock) {
+            return this.#locks.find(lock => lock === lockOrOwner);
+        }
+
+        return this.#locks.find(lock => !lock.isAnonymous && lock.owner === lockOrOwner && !this.#releasingLocks.has(lock));
     }
 
     /**
-     * `window.resize` handler, re-initiates the check whether scroll lock should be enabled or disabled.
+     * Returns a description of the lock for warnings: its label, its owner or `anonymous lock`.
      * @private
-     * @return {void}
+     * @param {ScrollLock} lock
+     * @return {string}
      */
-    #handleResize() {
-        clearTimeout(this.#resizeTimer);
+    #describeLock(lock) {
+        if (lock.label) {
+            return lock.label;
+        }
 
-        this.#resizeTimer = setTimeout(() => {
-            this.#shouldBeLocked() ? this.enable() : this.disable();
-        }, 100);
+        return lock.isAnonymous ? 'anonymous lock' : String(lock.owner);
     }
 
     /**
-     * Enables the scroll blocking on `documentElement`. Preserves the window scroll position and fixes the positions of `misplacedElements`.
-     * @param {Object} [param = {}] - An object containing parameters.
-     * @param {string} [param.breakpoint = this.#breakpoint] - Represents a breakpoint up to which the page scrolling will be blocked.
-     * @param {TypeFnGetMisplacedElements} [param.misplacedElements] - A function that returns a list of elements that are going to be misplaced when the scrollbar is removed.
+     * Logs a warning in debug mode.
+     * @private
+     * @param {string} message
+     * @param {...*} details - Additional values that are logged, e.g. a call stack.
      * @return {void}
      */
-    enable({
-        breakpoint = this.#breakpoint,
-        misplacedElements
-    } = {}) {
-        this.#breakpoint = breakpoint;
+    #warn(message, ...details) {
+        if (this.#options.debug) {
+            console.warn(`[scroll-blocker] ${message}`, ...details);
+        }
+    }
+
+    /**
+     * Starts the timeout that warns when the lock is held longer than `warnLockDuration`. Does nothing unless in debug mode.
+     * @private
+     * @param {ScrollLock} lock
+     * @return {void}
+     */
+    #watchLockDuration(lock) {
+        const { debug, warnLockDuration } = this.#options;
 
-        if (!this.#shouldBeLocked()) {
+        if (!debug || !warnLockDuration || !hasDom()) {
             return;
         }
 
-        this.#misplacedElements = [
-            this.#options.misplacedElements,
-            misplacedElements
-        ];
+        this.#lockWarnings.set(lock, window.setTimeout(() => {
+            this.#lockWarnings.delete(lock);
+            this.#warn(`"${this.#describeLock(lock)}" is held longer than ${warnLockDuration}ms.`, lock.stack);
+        }, warnLockDuration));
+    }
+
+    /**
+     * Clears the timeout started by `#watchLockDuration()`.
+     * @private
+     * @param {ScrollLock} lock
+     * @return {void}
+     */
+    #unwatchLockDuration(lock) {
+        if (this.#lockWarnings.has(lock)) {
+            window.clearTimeout(this.#lockWarnings.get(lock));
+            this.#lockWarnings.delete(lock);
+        }
+    }
 
-        if (!this.isEnabled) {
-            this.#adjustElementPositions();
-            this.#addClassName();
+    /**
+     * Starts the touch guard while at least one matching lock with touch mode is active, the input guard while
+     * at least one scroll container is blocked with the `input` strategy and the lifecycle guard while any lock is active. Stops them otherwise.
+     * @private
+     * @return {void}
+     */
+    #updateGuards() {
+        if (this.#locks.some(lock => lock.touch && lock.matches)) {
+            this.#touchGuard.start();
+        } else {
+            this.#touchGuard.stop();
         }
 
-        if (breakpoint) {
-            window.addEventListener('resize', this.#handleResize.bind(this));
+        if (this.isEnabled && !this.#usesOverflowStrategy()) {
+            this.#inputGuard.start();
+        } else {
+            this.#inputGuard.stop();
         }
 
-        this.#increaseCount();
+        if (this.#locks.length > 0) {
+            this.#lifecycleGuard.start();
+        } else {
+            this.#lifecycleGuard.stop();
+        }
     }
 
     /**
-     * Removes blocking of page scrolling, restores the window scroll position and enables page scrolling on the `documentElement`.
-     * @param {boolean} [force = false]
+     * Requests a lock on the parent page while the `documentElement` is blocked and releases it otherwise. Does nothing without `parentOrigin`.
+     * @private
      * @return {void}
      */
-    disable(force = false) {
-        if (!this.isEnabled) {
+    #updateFrameClient() {
+        if (!this.#frameClient) {
             return;
         }
 
-        if (force) {
-            this.#resetCount();
+        const root = document.documentElement;
+
+        if (this.#targets.has(root)) {
+            this.#frameClient.lock(this.#locks.some(lock => lock.target === root && lock.touch && lock.matches));
         } else {
-            this.#decreaseCount();
+            this.#frameClient.unlock();
         }
+    }
 
-        if (this.isEnabled) {
-            return;
+    /**
+     * Re-validates the locks when the page is restored from the back-forward cache or becomes visible again. The locks survive the cache
+     * together with the page, so an overlay that is still open keeps the page blocked. Releases expired locks and locks whose owner element
+     * has been removed from the document, re-computes the blocked scroll containers and restores a removed class name. The class name is added
+     * without the `AddClassName` hook point, so the hooks of the plugins stay balanced with `RemoveClassName`.
+     * @private
+     * @return {void}
+     */
+    #validate() {
+        this.#locks
+            .filter(lock => lock.isExpired || (lock.owner instanceof window.Node && !lock.owner.isConnected))
+            .forEach(lock => lock.release());
+
+        this.#update();
+
+        if (this.#usesOverflowStrategy()) {
+            this.#targets.forEach(state => this.#addClassName(state));
+        }
+    }
+
+    /**
+     * Returns the elements marked with the `data-scroll-blocker-compensate` attribute and, if enabled with `compensateFixedElements`,
+     * all `position: fixed` and `position: sticky` elements. Used as misplaced elements of the `documentElement`, so the document is re-scanned whenever the locks change.
+     * @private
+     * @return {Array<MisplacedElement>}
+     */
+    #findCompensatedElements = () => {
+        const defaultProperty = `padding-${this.#getScrollbarSide(document.documentElement).toLowerCase()}`;
+        const markedElements = [...document.querySelectorAll(`[${COMPENSATE_ATTRIBUTE}]`)];
+        const misplacedElements = markedElements.map(element => ({
+            element,
+            property: element.getAttribute(COMPENSATE_ATTRIBUTE) || defaultProperty
+        }));
+
+        const { compensateFixedElements } = this.#options;
+
+        if (!compensateFixedElements) {
+            return misplacedElements;
         }
 
-        this.#removeClassName();
-        this.#restoreElementPositions();
-        window.removeEventListener('resize', this.#handleResize.bind(this));
+        const property = typeof compensateFixedElements === 'string' ? compensateFixedElements : defaultProperty;
+
+        return [
+            ...misplacedElements,
+            ...this.#findFixedElements()
+                .filter(element => !markedElements.includes(element))
+                .map(element => ({ element, property }))
+        ];
+    };
+
+    /**
+     * Returns the `position: fixed` and `position: sticky` elements of the body. The descendants of fixed and hidden elements are skipped,
+     * they move along with their ancestor or are not rendered at all.
+     * @private
+     * @return {Array<HTMLElement>}
+     */
+    #findFixedElements() {
+        const walker = document.createTreeWalker(document.body, window.NodeFilter.SHOW_ELEMENT);
+        const fixedElements = [];
+        let element = walker.nextNode();
+
+        while (element) {
+            const { position, display } = window.getComputedStyle(element);
+
+            if ([ 'fixed', 'sticky' ].includes(position)) {
+                fixedElements.push(element);
+            }
+
+            element = position === 'fixed' || display === 'none' ? this.#skipSubtree(walker) : walker.nextNode();
+        }
+
+        return fixedElements;
+    }
+
+    /**
+     * Moves the walker past the descendants of its current node and returns the next node, `null` at the end of its root.
+     * @private
+     * @param {TreeWalker} walker
+     * @return {Node|null}
+     */
+    #skipSubtree(walker) {
+        let node = walker.nextSibling();
+
+        while (!node && walker.parentNode()) {
+            node = walker.nextSibling();
+        }
+
+        return node;
+    }
+
+    /**
+     * Returns the misplaced elements of the given locks that block the scroll container, including the ones from the options for the default target
+     * and the automatically detected ones for the `documentElement`.
+     * @private
+     * @param {HTMLElement} element - A scroll container.
+     * @param {Array<ScrollLock>} locks - The locks that block the scroll container.
+     * @return {array<TypeFnGetMisplacedElements>}
+     */
+    #getMisplacedElements(element, locks) {
+        const misplacedElements = locks.map(lock => lock.misplacedElements);
+
+        if (element === this.#resolveTarget()) {
+            misplacedElements.unshift(this.#options.misplacedElements);
+        }
+
+        if (this.#isRoot(element)) {
+            misplacedElements.unshift(this.#findCompensatedElements);
+        }
+
+        return [...new Set(misplacedElements.filter(Boolean))];
+    }
+
+    /**
+     * Blocks the scroll container and stores its state.
+     * @private
+     * @param {HTMLElement} element - A scroll container.
+     * @param {Array<ScrollLock>} locks - The locks that block the scroll container.
+     * @return {TargetState}
+     */
+    #blockTarget(element, locks) {
+        const state = {
+            element,
+            misplacedElements: this.#getMisplacedElements(element, locks),
+            scrollTop: 0,
+            scrollLeft: 0,
+            scrollbarWidth: 0,
+            scrollbarHeight: 0,
+            scrollbarSide: 'Right'
+        };
+
+        this.#targets.set(element, state);
+
+        if (this.#usesOverflowStrategy()) {
+            this.#runHookPoint('AdjustElementPositions', state, () => this.#adjustElementPositions(state));
+            this.#runHookPoint('AddClassName', state, () => this.#addClassName(state));
+        }
+
+        return state;
+    }
+
+    /**
+     * Unblocks the scroll container and removes its state.
+     * @private
+     * @param {TargetState} state - The state of the blocked scroll container.
+     * @param {ReleaseOptions} [options = {}] - How the scroll container gets unblocked.
+     * @return {void}
+     */
+    #unblockTarget(state, options = {}) {
+        this.#targets.delete(state.element);
+
+        if (this.#usesOverflowStrategy()) {
+            this.#runHookPoint('RemoveClassName', state, () => this.#removeClassName(state));
+            this.#runHookPoint('RestoreElementPositions', state, () => this.#restoreElementPositions(state, options), { options });
+        }
+    }
+
+    /**
+     * Updates the misplaced elements of an already blocked scroll container from the locks that block it and calls the `update` hook of the plugins.
+     * @private
+     * @param {TargetState} state - The state of the blocked scroll container.
+     * @param {Array<ScrollLock>} locks - The locks that block the scroll container.
+     * @return {void}
+     */
+    #updateMisplacedElements(state, locks) {
+        state.misplacedElements = this.#getMisplacedElements(state.element, locks);
+        this.#callPlugins('update', state);
+    }
+
+    /**
+     * Calls the hook of the given name of every plugin that implements it.
+     * @private
+     * @param {string} hook - The name of the hook, e.g. `afterAddClassName`.
+     * @param {TargetState} state - The state of the scroll container.
+     * @param {Object} [context = {}] - Additional properties of the PluginContext.
+     * @return {void}
+     */
+    #callPlugins(hook, state, context = {}) {
+        this.#plugins
+            .filter(plugin => typeof plugin[hook] === 'function')
+            .forEach(plugin => plugin[hook]({
+                ...this.#pluginHelpers,
+                scrollBlocker: this,
+                state,
+                compensates: this.#compensatesScrollbar(state),
+                ...context
+            }));
+    }
+
+    /**
+     * Calls the `before` hooks of the plugins for the given hook point, runs the callback and calls the `after` hooks.
+     * @private
+     * @param {string} name - `AdjustElementPositions`, `AddClassName`, `RemoveClassName` or `RestoreElementPositions`.
+     * @param {TargetState} state - The state of the scroll container.
+     * @param {function} callback - The built-in behaviour of the hook point.
+     * @param {Object} [context = {}] - Additional properties of the PluginContext.
+     * @return {void}
+     */
+    #runHookPoint(name, state, callback, context = {}) {
+        this.#callPlugins(`before${name}`, state, context);
+        callback();
+        this.#callPlugins(`after${name}`, state, context);
+    }
+
+    /**
+     * Recomputes which scroll containers are blocked from all active locks whose breakpoint matches the viewport.
+     * Blocks and unblocks the scroll containers accordingly and emits the `lock` and `unlock` events. Does nothing without DOM.
+     * @private
+     * @param {ScrollLock} [trigger] - The lock that caused the update.
+     * @param {ReleaseOptions} [options = {}] - How unblocked scroll containers are restored.
+     * @return {void}
+     */
+    #update(trigger, options = {}) {
+        if (!hasDom()) {
+            return;
+        }
+
+        const matchingLocks = this.#locks.filter(lock => lock.matches);
+        const locksOf = element => matchingLocks.filter(lock => lock.target === element);
+        const unblocked = [...this.#targets.values()].filter(state => locksOf(state.element).length === 0);
+        const blocked = [];
+
+        unblocked.forEach(state => {
+            this.#callHook('beforeUnlock', { state, lock: trigger });
+            this.#unblockTarget(state, options);
+            this.#callHook('afterUnlock', { state, lock: trigger });
+        });
+
+        new Set(matchingLocks.map(lock => lock.target)).forEach(target => {
+            const state = this.#targets.get(target);
+
+            if (state) {
+                this.#updateMisplacedElements(state, locksOf(target));
+                return;
+            }
+
+            this.#callHook('beforeLock', { target, lock: trigger });
+            blocked.push(this.#blockTarget(target, locksOf(target)));
+            this.#callHook('afterLock', { state: this.#targets.get(target), lock: trigger });
+        });
+
+        this.#updateGuards();
+        this.#updateFrameClient();
+
+        unblocked.forEach(state => this.#emit('unlock', { state, lock: trigger }));
+        blocked.forEach(state => this.#emit('lock', { state, lock: trigger }));
+    }
+
+    /**
+     * Removes a released lock from the active locks and unblocks its scroll container when no other matching lock blocks it.
+     * @private
+     * @param {ScrollLock} lock - The released lock.
+     * @param {ReleaseOptions} [options = {}] - How the scroll container gets unblocked.
+     * @return {void}
+     */
+    #handleRelease(lock, options = {}) {
+        const index = this.#locks.indexOf(lock);
+
+        if (index === -1) {
+            return;
+        }
+
+        this.#locks.splice(index, 1);
+        this.#suspendedLocks.delete(lock);
+        lock.unwatch(this.#handleBreakpointChange);
+        this.#unwatchLockDuration(lock);
+
+        this.#update(lock, options);
+        this.#emit('count-change', { state: this.#targets.get(lock.target), lock });
+    }
+
+    /**
+     * Returns how the scroll container compensates its removed scrollbar. Falls back to `margin` when `gutter` is not supported.
+     * @private
+     * @param {HTMLElement} element - A scroll container.
+     * @return {string} - `margin`, `padding`, `gutter` or `none`.
+     */
+    #getCompensation(element) {
+        const { compensation = this.#isRoot(element) ? 'margin' : 'padding' } = this.#options;
+
+        if (compensation === 'gutter' && !(window.CSS && window.CSS.supports('scrollbar-gutter', 'stable'))) {
+            return 'margin';
+        }
+
+        return compensation;
+    }
+
+    /**
+     * Returns true if the removed scrollbar of the scroll container and its misplaced elements have to be compensated, which is not the case
+     * when its scrollbar is not visible, the `gutter` compensation keeps its space or the `none` compensation leaves it to CSS.
+     * @private
+     * @param {TargetState} state - The state of the blocked scroll container.
+     * @return {boolean}
+     */
+    #compensatesScrollbar(state) {
+        return this.#usesOverflowStrategy() &&
+            state.scrollbarWidth > 0 &&
+            ![ 'gutter', 'none' ].includes(this.#getCompensation(state.element));
+    }
+
+    /**
+     * Stores the current vertical and horizontal scroll position of the scroll container and sets its scrollbar sizes as
+     * `--scroll-blocker-scrollbar-width` and `--scroll-blocker-scrollbar-height`. When its scrollbars are visible, compensates them
+     * on the side they are placed on. The misplaced elements are compensated by the MisplacedElementsPlugin.
+     * @private
+     * @param {TargetState} state - The state of the blocked scroll container.
+     * @return {void}
+     */
+    #adjustElementPositions(state) {
+        const { element } = state;
+
+        if (this.#isRoot(element)) {
+            state.scrollTop = window.scrollY || 0;
+            state.scrollLeft = window.scrollX || 0;
+            this.#setStyle(document.body, 'top', state.scrollTop ? `${-state.scrollTop}px` : '');
+            this.#setStyle(document.body, 'left', state.scrollLeft ? `${-state.scrollLeft}px` : '');
+        } else {
+            state.scrollTop = element.scrollTop;
+            state.scrollLeft = element.scrollLeft;
+        }
+
+        const compensation = this.#getCompensation(element);
+
+        state.scrollbarWidth = Math.max(this.#getScrollbarWidth(element), 0);
+        state.scrollbarHeight = Math.max(this.#getScrollbarHeight(element), 0);
+        state.scrollbarSide = this.#getScrollbarSide(element);
+        this.#setStyle(element, SCROLLBAR_WIDTH_PROPERTY, `${state.scrollbarWidth}px`);
+        this.#setStyle(element, SCROLLBAR_HEIGHT_PROPERTY, `${state.scrollbarHeight}px`);
+
+        if (compensation === 'gutter') {
+            this.#setStyle(element, 'scrollbarGutter', 'stable');
+        }
+
+        if (state.scrollbarHeight > 0 && [ 'margin', 'padding' ].includes(compensation)) {
+            this.#compensateStyle(element, `${compensation}Bottom`, state.scrollbarHeight);
+        }
+
+        if (this.#compensatesScrollbar(state) && [ 'margin', 'padding' ].includes(compensation)) {
+            this.#compensateStyle(element, `${compensation}${state.scrollbarSide}`, state.scrollbarWidth);
+        }
+    }
+
+    /**
+     * Restores the previously stored vertical and horizontal scroll position of the scroll container and removes the compensation of its scrollbars.
+     * Skipping the restoration leaves the scroll position to someone else, e.g. the `scrollBehavior` of a router.
+     * @private
+     * @param {TargetState} state - The state of the blocked scroll container.
+     * @param {ReleaseOptions} [options = {}] - An object containing parameters.
+     * @param {boolean} [options.restoreScrollPosition = true] - Whether the stored scroll position is restored.
+     * @param {HTMLElement|string} [options.scrollTo] - An element or the hash of an element that is scrolled into view instead.
+     * @param {boolean} [options.instant = false] - Forces `scroll-behavior: auto` while scrolling.
+     * @return {void}
+     */
+    #restoreElementPositions(state, { restoreScrollPosition = true, scrollTo, instant = false } = {}) {
+        const { element, scrollbarSide } = state;
+
+        [
+            SCROLLBAR_WIDTH_PROPERTY,
+            SCROLLBAR_HEIGHT_PROPERTY,
+            'scrollbarGutter',
+            'marginBottom',
+            'paddingBottom',
+            `margin${scrollbarSide}`,
+            `padding${scrollbarSide}`
+        ].forEach(property => this.#restoreStyle(element, property));
+
+        if (this.#isRoot(element)) {
+            this.#restoreStyle(document.body, 'top');
+            this.#restoreStyle(document.body, 'left');
+        }
+
+        if (!restoreScrollPosition) {
+            return;
+        }
+
+        if (instant) {
+            this.#setStyle(element, 'scrollBehavior', 'auto');
+        }
+
+        this.#restoreScrollPosition(state, scrollTo);
+
+        if (instant) {
+            this.#restoreStyle(element, 'scrollBehavior');
+        }
+    }
+
+    /**
+     * Scrolls the given element or the element with the given hash into view. Restores the stored scroll position of the scroll container
+     * when no element is given or found.
+     * @private
+     * @param {TargetState} state - The state of the blocked scroll container.
+     * @param {HTMLElement|string} [scrollTo] - An element or the hash of an element, e.g. `#results`.
+     * @return {void}
+     */
+    #restoreScrollPosition(state, scrollTo) {
+        const destination = typeof scrollTo === 'string' ? document.getElementById(scrollTo.replace(/^#/, '')) : scrollTo;
+
+        if (destination) {
+            destination.scrollIntoView();
+        } else if (this.#isRoot(state.element)) {
+            window.scrollTo(state.scrollLeft, state.scrollTop);
+        } else {
+            state.element.scrollTop = state.scrollTop;
+            state.element.scrollLeft = state.scrollLeft;
+        }
+    }
+
+    /**
+     * Adds the given number of pixels to the computed margin or padding of the element, so its own spacing is kept.
+     * Any other property, e.g. `right`, is set to the number of pixels. A previous compensation of the property is restored before.
+     * @private
+     * @param {HTMLElement} element
+     * @param {string} property - A CSS property, e.g. `paddingRight` or `padding-right`.
+     * @param {number} pixels - The width or height of the removed scrollbar.
+     * @return {void}
+     */
+    #compensateStyle(element, property, pixels) {
+        const name = property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+        this.#restoreStyle(element, property);
+
+        const computed = /^(margin|padding)-/.test(name) ? parseFloat(window.getComputedStyle(element).getPropertyValue(name)) || 0 : 0;
+
+        this.#setStyle(element, property, `${computed + pixels}px`);
+    }
+
+    /**
+     * Sets an inline style of the element and remembers its original value the first time it is changed.
+     * @private
+     * @param {HTMLElement} element
+     * @param {string} property - A CSS property.
+     * @param {string} value - A property value.
+     * @return {void}
+     */
+    #setStyle(element, property, value) {
+        if (!this.#inlineStyles.has(element)) {
+            this.#inlineStyles.set(element, new Map());
+        }
+
+        const originalStyles = this.#inlineStyles.get(element);
+
+        if (!originalStyles.has(property)) {
+            originalStyles.set(property, this.#readStyle(element, property));
+        }
+
+        this.#writeStyle(element, property, value);
+    }
+
+    /**
+     * Restores the original value of an inline style changed with `#setStyle()`. Does nothing if it has not been changed.
+     * @private
+     * @param {HTMLElement} element
+     * @param {string} property - A CSS property.
+     * @return {void}
+     */
+    #restoreStyle(element, property) {
+        const originalStyles = this.#inlineStyles.get(element);
+
+        if (!originalStyles || !originalStyles.has(property)) {
+            return;
+        }
+
+        this.#writeStyle(element, property, originalStyles.get(property));
+        originalStyles.delete(property);
+
+        if (!originalStyles.size) {
+            this.#inlineStyles.delete(element);
+        }
+    }
+
+    /**
+     * Returns an inline style of the element, custom properties included.
+     * @private
+     * @param {HTMLElement} element
+     * @param {string} property - A CSS property.
+     * @return {string}
+     */
+    #readStyle(element, property) {
+        return property.startsWith('--') ? element.style.getPropertyValue(property) : element.style[property];
+    }
+
+    /**
+     * Sets an inline style of the element, custom properties included.
+     * @private
+     * @param {HTMLElement} element
+     * @param {string} property - A CSS property.
+     * @param {string} value - A property value.
+     * @return {void}
+     */
+    #writeStyle(element, property, value) {
+        if (property.startsWith('--')) {
+            element.style.setProperty(property, value);
+        } else {
+            element.style[property] = value;
+        }
+    }
+
+    /**
+     * Calls `window.requestAnimationFrame()` and keeps track of the frame until it is executed, so it can be cancelled.
+     * @private
+     * @param {function} callback
+     * @return {void}
+     */
+    #requestAnimationFrame(callback) {
+        const id = window.requestAnimationFrame(() => {
+            this.#animationFrames.delete(id);
+            callback();
+        });
+
+        this.#animationFrames.add(id);
+    }
+
+    /**
+     * Adds `this.#options.className` to the scroll containers `classList`.
+     * @private
+     * @param {TargetState} state - The state of the blocked scroll container.
+     * @return {void}
+     */
+    #addClassName(state) {
+        state.element.classList.add(this.#options.className);
+    }
+
+    /**
+     * Removes `this.#options.className` from the scroll containers `classList`.
+     * @private
+     * @param {TargetState} state - The state of the blocked scroll container.
+     * @return {void}
+     */
+    #removeClassName(state) {
+        state.element.classList.remove(this.#options.className);
+    }
+
+    /**
+     * Breakpoint `change` handler, emits the `breakpoint-suspend` and `breakpoint-resume` events for the locks whose breakpoint
+     * stopped or started matching and recomputes which scroll containers are blocked.
+     * @private
+     * @return {void}
+     */
+    #handleBreakpointChange = () => {
+        const changedLocks = this.#locks.filter(lock => lock.matches === this.#suspendedLocks.has(lock));
+
+        changedLocks.forEach(lock => {
+            if (lock.matches) {
+                this.#suspendedLocks.delete(lock);
+                this.#emit('breakpoint-resume', { state: this.#targets.get(lock.target), lock });
+            } else {
+                this.#suspendedLocks.add(lock);
+                this.#emit('breakpoint-suspend', { state: this.#targets.get(lock.target), lock });
+            }
+        });
+
+        if (changedLocks.length) {
+            this.#update(changedLocks[0]);
+        }
+    };
+
+    /**
+     * Acquires a lock that blocks the scrolling of the scroll container, `documentElement` by default, while its breakpoint matches the viewport.
+     * Blocking preserves the scroll position and fixes the positions of `misplacedElements`. The scroll container stays blocked as long as
+     * any of its locks matches. Returns a lock that can only release itself. When an `owner` is given that already holds a lock, its existing lock is returned
+     * unchanged, the other parameters, e.g. `signal` and `maxDuration`, are ignored then.
+     * @param {Object} [param = {}] - An object containing parameters.
+     * @param {*} [param.owner] - A key identifying the owner of the lock, e.g. a string or a component instance.
+     * @param {HTMLElement} [param.target = this.#options.target] - The scroll container to block.
+     * @param {boolean} [param.touch = this.#options.touch] - Cancels touch scrolling of the page, e.g. to prevent rubber-banding in iOS Safari.
+     * Elements registered with `addScrollableElement()` can still be scrolled by touch.
+     * @param {string|number} [param.breakpoint = this.#options.breakpoint] - Represents a breakpoint up to which the page scrolling will be blocked,
+     * either a number or a length like `800px` or `64em` or any media query like `(hover: none)` that has to match.
+     * @param {TypeFnGetMisplacedElements} [param.misplacedElements] - A function that returns a list of elements that are going to be misplaced when the scrollbar is removed.
+     * @param {boolean} [param.persistent = false] - Keeps the lock on `releaseAll({ keepPersistent: true })`, e.g. when the router navigates.
+     * @param {string} [param.label] - A label describing the lock, listed by `inspect()` and in warnings.
+     * @param {number} [param.maxDuration = this.#options.maxLockDuration] - Releases the lock after the duration in milliseconds, `0` to hold it until it is released.
+     * @param {AbortSignal} [param.signal] - Releases the lock when the signal aborts. Returns a released lock if the signal already aborted.
+     * @return {ScrollLock}
+     */
+    enable({
+        owner,
+        target,
+        touch = this.#options.touch,
+        breakpoint = this.#options.breakpoint,
+        misplacedElements,
+        persistent = false,
+        label,
+        maxDuration = this.#options.maxLockDuration,
+        signal
+    } = {}) {
+        const existingLock = owner === undefined ? undefined : this.#findLock(owner);
+
+        if (existingLock) {
+            return existingLock;
+        }
+
+        const lock = new ScrollLock({
+            owner,
+            target: this.#resolveTarget(target),
+            touch,
+            breakpoint,
+            misplacedElements,
+            persistent,
+            label,
+            stack: this.#options.debug ? new Error().stack : undefined,
+            maxDuration,
+            signal,
+            onRelease: (lock, options) => this.#handleRelease(lock, options)
+        });
+
+        if (!lock.isActive) {
+            return lock;
+        }
+
+        this.#locks.push(lock);
+        lock.watch(this.#handleBreakpointChange);
+        this.#watchLockDuration(lock);
+
+        if (!lock.matches) {
+            this.#suspendedLocks.add(lock);
+        }
+
+        this.#update(lock);
+        this.#emit('count-change', { state: this.#targets.get(lock.target), lock });
+
+        return lock;
+    }
+
+    /**
+     * Holds a lock while the given promise or the promise returned by the given function is pending and releases it when it settles,
+     * e.g. while a loader or a confirmation dialog is shown. The function is called with the lock. When the `owner` already holds a lock,
+     * the task runs under that lock, which keeps its `signal` and `maxDuration` and is not released when the task settles.
+     * @example const confirmed = await scrollBlocker.withLock(() => confirmDialog.open(), { label: 'Confirm dialog' });
+     * @param {Promise|function} task - A promise or a function returning a value or a promise.
+     * @param {Object} [param = {}] - Parameters passed to `enable()`.
+     * @return {Promise} - Resolves or rejects like the task after the lock has been released.
+     */
+    async withLock(task, param = {}) {
+        const previousLocks = [...this.#locks];
+        const lock = this.enable(param);
+        const isAcquired = !previousLocks.includes(lock);
+
+        try {
+            return await (typeof task === 'function' ? task(lock) : task);
+        } finally {
+            if (isAcquired) {
+                lock.release();
+            }
+        }
+    }
+
+    /**
+     * Releases a lock and enables page scrolling again when no other matching lock is active.
+     * Without a parameter the most recently acquired anonymous lock is released, locks acquired with an `owner` are only
+     * released by passing the lock itself or its owner key. Passing `true` releases all anonymous locks, `false` is treated like no parameter.
+     * The `options` apply when the scroll container gets unblocked, e.g. to scroll the results of a filter overlay into view.
+     * With `waitFor` the locks are held until the transition or animation of an element ends or a promise settles, e.g. while a drawer animates out.
+     * @param {ScrollLock|*|boolean} [lockOrOwner] - A lock, an owner key, `true` to release all anonymous locks or `false` to release the most recent one.
+     * @param {ReleaseOptions} [options = {}] - Whether and where the scroll position is restored.
+     * @param {HTMLElement|Promise|function} [options.waitFor] - An element whose `transitionend` or `animationend` is awaited,
+     * a promise or a function returning a promise.
+     * @return {Promise<void>} - Resolves when the locks have been released.
+     */
+    disable(lockOrOwner, { waitFor, ...options } = {}) {
+        const anonymousLocks = this.#locks.filter(lock => lock.isAnonymous && !this.#releasingLocks.has(lock));
+        const lock = lockOrOwner === undefined || lockOrOwner === false ? anonymousLocks.pop() : this.#findLock(lockOrOwner);
+        const locks = lockOrOwner === true ? anonymousLocks : [lock].filter(Boolean);
+        const release = () => locks.forEach(lock => {
+            this.#releasingLocks.delete(lock);
+            lock.release(options);
+        });
+
+        if (lockOrOwner !== true && !lock) {
+            this.#warn('`disable()` was called without a matching active lock.', lockOrOwner);
+        }
+
+        if (waitFor === undefined) {
+            release();
+            return Promise.resolve();
+        }
+
+        const waiting = this.#waitFor(waitFor);
+
+        locks.forEach(lock => this.#releasingLocks.add(lock));
+
+        return waiting.then(release, release);
+    }
+
+    /**
+     * Returns a promise that settles when the transition or animation of the given element ends, or when the given promise
+     * or the promise returned by the given function settles. A function throwing an error rejects the promise.
+     * @private
+     * @param {HTMLElement|Promise|function} waitFor
+     * @return {Promise}
+     */
+    #waitFor(waitFor) {
+        if (hasDom() && waitFor instanceof window.Element) {
+            return this.#waitForTransition(waitFor);
+        }
+
+        return new Promise(resolve => resolve(typeof waitFor === 'function' ? waitFor() : waitFor));
+    }
+
+    /**
+     * Returns a promise that resolves when every transitioned property and every animation of the element has ended. Resolves at the latest
+     * when the longest transition or animation of its computed style should have ended, immediately if it has none. Transitions of `all`
+     * properties can't be counted, only the timeout is relied on then.
+     * @private
+     * @param {HTMLElement} element
+     * @return {Promise<void>}
+     */
+    #waitForTransition(element) {
+        const style = window.getComputedStyle(element);
+        const totalTimes = (durations, delays) => {
+            const delayTimes = toMilliseconds(delays);
+
+            return toMilliseconds(durations).map((duration, index) => duration + delayTimes[index % delayTimes.length]);
+        };
+        const countRunning = (names, durations) => {
+            const durationTimes = toMilliseconds(durations);
+            const running = names
+                .split(',')
+                .map(name => name.trim())
+                .filter((name, index) => name !== 'none' && durationTimes[index % durationTimes.length] > 0);
+
+            return running.includes('all') ? Infinity : running.length;
+        };
+        const timeout = Math.max(
+            ...totalTimes(style.transitionDuration, style.transitionDelay),
+            ...totalTimes(style.animationDuration, style.animationDelay)
+        );
+
+        if (!timeout) {
+            return Promise.resolve();
+        }
+
+        const expectedEnds = countRunning(style.transitionProperty || 'all', style.transitionDuration)
+            + countRunning(style.animationName || 'none', style.animationDuration);
+        const ended = new Set();
+
+        return new Promise(resolve => {
+            const id = window.setTimeout(() => done(), timeout + 50);
+            const handleEnd = event => {
+                if (event.target !== element) {
+                    return;
+                }
+
+                ended.add(`${event.type}:${event.propertyName || event.animationName}`);
+
+                if (ended.size >= expectedEnds) {
+                    done();
+                }
+            };
+            const done = () => {
+                window.clearTimeout(id);
+                element.removeEventListener('transitionend', handleEnd);
+                element.removeEventListener('animationend', handleEnd);
+                resolve();
+            };
+
+            element.addEventListener('transitionend', handleEnd);
+            element.addEventListener('animationend', handleEnd);
+        });
+    }
+
+    /**
+     * Releases every active lock regardless of its owner and enables page scrolling.
+     * @param {Object} [param = {}] - An object containing parameters.
+     * @param {boolean} [param.restoreScrollPosition = true] - Whether the stored scroll positions are restored, skip it when the new scroll position
+     * is set by someone else, e.g. the `scrollBehavior` of a router.
+     * @param {boolean} [param.keepPersistent = false] - Keeps the locks that were acquired with `persistent: true`.
+     * @param {HTMLElement|string} [param.scrollTo] - An element or the hash of an element that is scrolled into view instead, see `disable()`.
+     * @param {boolean} [param.instant = false] - Forces `scroll-behavior: auto` while scrolling.
+     * @return {void}
+     */
+    releaseAll({ keepPersistent = false, ...options } = {}) {
+        [...this.#locks]
+            .filter(lock => !keepPersistent || !lock.persistent)
+            .forEach(lock => lock.release(options));
+    }
+
+    /**
+     * Lists the active locks, e.g. to find out who blocks the page. Call stacks are only recorded in debug mode.
+     * @return {Array<LockInfo>}
+     */
+    inspect() {
+        const now = Date.now();
+
+        return this.#locks.map(lock => ({
+            owner: lock.owner,
+            label: lock.label,
+            target: lock.target,
+            breakpoint: lock.breakpoint,
+            matches: lock.matches,
+            touch: lock.touch,
+            persistent: lock.persistent,
+            duration: now - lock.acquiredAt,
+            stack: lock.stack
+        }));
+    }
+
+    /**
+     * Extends the ScrollBlocker with a plugin, e.g. to pause videos or to stop a smooth scrolling library while the page is blocked.
+     * Calls its `install()` once, a plugin or a plugin with the same name is only used once. The hooks apply to scroll containers blocked afterwards.
+     * @example scrollBlocker.use({ afterAddClassName: ({ state }) => lenis.stop(), beforeRemoveClassName: () => lenis.start() });
+     * @param {Plugin} plugin
+     * @return {ScrollBlocker} - The instance, to chain calls.
+     */
+    use(plugin) {
+        const isUsed = this.#plugins.some(usedPlugin => usedPlugin === plugin || (plugin.name && usedPlugin.name === plugin.name));
+
+        if (isUsed) {
+            return this;
+        }
+
+        this.#plugins.push(plugin);
+
+        if (typeof plugin.install === 'function') {
+            plugin.install(this);
+        }
+
+        return this;
+    }
+
+    /**
+     * Returns the active locks without breakpoint that can be adopted by `hydrate()`, e.g. to pass the locks acquired during server side rendering
+     * to the client. Only locks whose owner is a string or a number are included, anonymous locks could not be released by the component
+     * that acquires them again on the client.
+     * @return {Array<SerializedLock>}
+     */
+    serialize() {
+        return this.#locks
+            .filter(lock => lock.breakpoint === undefined && this.#isSerializableOwner(lock.owner))
+            .map(({ owner, touch, persistent }) => ({ owner, touch, persistent }));
+    }
+
+    /**
+     * Returns true if the owner survives serialization, i.e. it is a string or a number.
+     * @private
+     * @param {*} owner - The owner key of a lock.
+     * @return {boolean}
+     */
+    #isSerializableOwner(owner) {
+        return [ 'string', 'number' ].includes(typeof owner);
+    }
+
+    /**
+     * Acquires the serialized locks, e.g. the ones acquired during server side rendering, whose class name is already rendered into the HTML.
+     * Components acquiring a lock with the same owner on the client get the adopted lock. Anonymous locks are ignored.
+     * @param {Array<SerializedLock>} [locks = []] - Locks returned by `serialize()`.
+     * @return {Array<ScrollLock>} - The adopted locks.
+     */
+    hydrate(locks = []) {
+        return locks
+            .filter(lock => this.#isSerializableOwner(lock.owner))
+            .map(lock => this.enable(lock));
+    }
+
+    /**
+     * Tears the instance down: releases every lock, removes all listeners, cancels pending animation frames
+     * and restores every inline style that has been changed. The instance can still be used afterwards,
+     * but does not accept lock requests of child frames anymore. A shared instance is unregistered, so `getInstance()` creates a new one.
+     * @return {void}
+     */
+    destroy() {
+        if (this.#overlayObserver) {
+            this.#overlayObserver.stop();
+        }
+
+        this.releaseAll();
+
+        this.#animationFrames.forEach(id => window.cancelAnimationFrame(id));
+        this.#animationFrames.clear();
+
+        this.#inlineStyles.forEach((originalStyles, element) => {
+            originalStyles.forEach((value, property) => this.#writeStyle(element, property, value));
+        });
+        this.#inlineStyles.clear();
+
+        this.#touchGuard.stop();
+        this.#inputGuard.stop();
+        this.#lifecycleGuard.stop();
+        this.#listeners.clear();
+
+        if (this.#frameHost) {
+            this.#frameHost.stop();
+        }
+
+        if (hasDom() && window[REGISTRY_KEY] === this) {
+            delete window[REGISTRY_KEY];
+        }
+
+        if (hasDom() && window.__scrollBlocker__ === this) {
+            delete window.__scrollBlocker__;
+        }
     }
 }
@@ -0,0 +1,334 @@
+import { Breakpoint } from './Breakpoint';
+import { hasDom } from './environment';
+
+/**
+ * A function that is called once when a ScrollLock gets released.
+ * @function
+ * @name TypeFnReleaseLock
+ * @param {ScrollLock} lock - The released lock.
+ * @param {ReleaseOptions} options - How the released lock unblocks its scroll container.
+ * @return {void}
+ */
+
+/**
+ * An Object describing how a released lock unblocks its scroll container.
+ * @typedef {Object} ReleaseOptions
+ * @property {boolean} [restoreScrollPosition = true] - Whether the stored scroll position is restored when the scroll container gets unblocked.
+ * @property {HTMLElement|string} [scrollTo] - An element or the hash of an element that is scrolled into view instead of restoring the stored scroll position,
+ * e.g. `#results`. The stored scroll position is restored when no element is found.
+ * @property {boolean} [instant = false] - Forces `scroll-behavior: auto` while scrolling, so smooth scrolling CSS does not animate the restoration.
+ */
+
+/**
+ * Represents a single scroll lock acquired from a ScrollBlocker. A lock can only release itself,
+ * releasing it more than once has no effect.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class ScrollLock
+ */
+export class ScrollLock {
+
+    /**
+     * Holds the owner key the lock was acquired with.
+     * @private
+     * @type {*}
+     */
+    #owner;
+
+    /**
+     * Holds the scroll container the lock blocks.
+     * @private
+     * @type {HTMLElement}
+     */
+    #target;
+
+    /**
+     * Holds whether the lock cancels touch scrolling.
+     * @default false
+     * @private
+     * @type {boolean}
+     */
+    #touch = false;
+
+    /**
+     * Holds the breakpoint up to which the lock blocks the scrolling.
+     * @private
+     * @type {Breakpoint|undefined}
+     */
+    #breakpoint;
+
+    /**
+     * Holds the misplaced elements that are compensated while the lock blocks the scrolling.
+     * @private
+     * @type {TypeFnGetMisplacedElements|undefined}
+     */
+    #misplacedElements;
+
+    /**
+     * Holds whether the lock survives `releaseAll({ keepPersistent: true })`, e.g. on router navigations.
+     * @default false
+     * @private
+     * @type {boolean}
+     */
+    #persistent = false;
+
+    /**
+     * Holds a label describing the lock, e.g. for debugging.
+     * @private
+     * @type {string|undefined}
+     */
+    #label;
+
+    /**
+     * Holds the call stack the lock was acquired from, only recorded in debug mode.
+     * @private
+     * @type {string|undefined}
+     */
+    #stack;
+
+    /**
+     * Holds the time the lock was acquired at in milliseconds.
+     * @private
+     * @type {number}
+     */
+    #acquiredAt = Date.now();
+
+    /**
+     * Holds the signal that releases the lock when it aborts.
+     * @private
+     * @type {AbortSignal|undefined}
+     */
+    #signal;
+
+    /**
+     * Holds the duration in milliseconds after which the lock releases itself, `0` to hold it until it is released.
+     * @default 0
+     * @private
+     * @type {number}
+     */
+    #maxDuration = 0;
+
+    /**
+     * Holds the id of the timeout that releases the lock after `maxDuration`.
+     * @private
+     * @type {number|undefined}
+     */
+    #timeout;
+
+    /**
+     * `signal.abort` handler, releases the lock.
+     * @private
+     * @return {void}
+     */
+    #handleAbort = () => {
+        this.release();
+    };
+
+    /**
+     * Holds the function that is called when the lock gets released.
+     * @private
+     * @type {TypeFnReleaseLock}
+     */
+    #onRelease;
+
+    /**
+     * Holds whether the lock is still held.
+     * @default true
+     * @private
+     * @type {boolean}
+     */
+    #isActive = true;
+
+    /**
+     * Creates an instance of ScrollLock.
+     * @param {Object} param - An object containing parameters.
+     * @param {*} [param.owner] - A key identifying the owner of the lock, `undefined` for anonymous locks.
+     * @param {HTMLElement} [param.target] - The scroll container the lock blocks.
+     * @param {boolean} [param.touch = false] - Whether the lock cancels touch scrolling.
+     * @param {string|number} [param.breakpoint] - A breakpoint up to which the lock blocks the scrolling.
+     * @param {TypeFnGetMisplacedElements} [param.misplacedElements] - A function that returns a list of elements that are going to be misplaced when the scrollbar is removed.
+     * @param {boolean} [param.persistent = false] - Whether the lock survives `releaseAll({ keepPersistent: true })`.
+     * @param {string} [param.label] - A label describing the lock.
+     * @param {string} [param.stack] - The call stack the lock was acquired from.
+     * @param {number} [param.maxDuration = 0] - The duration in milliseconds after which the lock releases itself, `0` to hold it until it is released.
+     * @param {AbortSignal} [param.signal] - A signal that releases the lock when it aborts. The lock is created released if the signal already aborted.
+     * @param {TypeFnReleaseLock} param.onRelease - A function that is called once when the lock gets released.
+     */
+    constructor({ owner, target, touch = false, breakpoint, misplacedElements, persistent = false, label, stack, maxDuration = 0, signal, onRelease }) {
+        this.#owner = owner;
+        this.#target = target;
+        this.#touch = touch;
+        this.#breakpoint = breakpoint === undefined ? undefined : new Breakpoint(breakpoint);
+        this.#misplacedElements = misplacedElements;
+        this.#persistent = persistent;
+        this.#label = label;
+        this.#stack = stack;
+        this.#onRelease = onRelease;
+        this.#maxDuration = maxDuration;
+
+        if (signal && signal.aborted) {
+            this.#isActive = false;
+            return;
+        }
+
+        if (this.#maxDuration > 0 && hasDom()) {
+            this.#timeout = window.setTimeout(() => this.release(), this.#maxDuration);
+        }
+
+        if (signal) {
+            this.#signal = signal;
+            this.#signal.addEventListener('abort', this.#handleAbort, { once: true });
+        }
+    }
+
+    /**
+     * Returns the owner key the lock was acquired with.
+     * @return {*}
+     */
+    get owner() {
+        return this.#owner;
+    }
+
+    /**
+     * Returns the scroll container the lock blocks.
+     * @return {HTMLElement}
+     */
+    get target() {
+        return this.#target;
+    }
+
+    /**
+     * Returns true if the lock cancels touch scrolling.
+     * @return {boolean}
+     */
+    get touch() {
+        return this.#touch;
+    }
+
+    /**
+     * Returns the breakpoint up to which the lock blocks the scrolling.
+     * @return {string|number|undefined}
+     */
+    get breakpoint() {
+        return this.#breakpoint ? this.#breakpoint.value : undefined;
+    }
+
+    /**
+     * Returns the misplaced elements that are compensated while the lock blocks the scrolling.
+     * @return {TypeFnGetMisplacedElements|undefined}
+     */
+    get misplacedElements() {
+        return this.#misplacedElements;
+    }
+
+    /**
+     * Returns true if the lock survives `releaseAll({ keepPersistent: true })`.
+     * @return {boolean}
+     */
+    get persistent() {
+        return this.#persistent;
+    }
+
+    /**
+     * Returns the label describing the lock.
+     * @return {string|undefined}
+     */
+    get label() {
+        return this.#label;
+    }
+
+    /**
+     * Returns the call stack the lock was acquired from, `undefined` unless it was recorded in debug mode.
+     * @return {string|undefined}
+     */
+    get stack() {
+        return this.#stack;
+    }
+
+    /**
+     * Returns the time the lock was acquired at in milliseconds.
+     * @return {number}
+     */
+    get acquiredAt() {
+        return this.#acquiredAt;
+    }
+
+    /**
+     * Returns true if the lock is held longer than its `maxDuration`, e.g. because the timeout was throttled in a background tab.
+     * @return {boolean}
+     */
+    get isExpired() {
+        return this.#maxDuration > 0 && Date.now() - this.#acquiredAt >= this.#maxDuration;
+    }
+
+    /**
+     * Returns true when the lock has no breakpoint or its breakpoint matches the viewport.
+     * @return {boolean}
+     */
+    get matches() {
+        return !this.#breakpoint || this.#breakpoint.matches;
+    }
+
+    /**
+     * Returns true if the lock was acquired without an owner key.
+     * @return {boolean}
+     */
+    get isAnonymous() {
+        return this.#owner === undefined;
+    }
+
+    /**
+     * Returns true as long as the lock has not been released.
+     * @return {boolean}
+     */
+    get isActive() {
+        return this.#isActive;
+    }
+
+    /**
+     * Registers a listener that is called whenever the breakpoint of the lock starts or stops matching. Does nothing if the lock has no breakpoint.
+     * @param {function} listener
+     * @return {void}
+     */
+    watch(listener) {
+        if (this.#breakpoint) {
+            this.#breakpoint.watch(listener);
+        }
+    }
+
+    /**
+     * Removes a listener registered with `watch()`.
+     * @param {function} listener
+     * @return {void}
+     */
+    unwatch(listener) {
+        if (this.#breakpoint) {
+            this.#breakpoint.unwatch(listener);
+        }
+    }
+
+    /**
+     * Releases the lock. Does nothing if the lock has already been released.
+     * @param {ReleaseOptions} [options = {}] - How the lock unblocks its scroll container.
+     * @return {boolean} - True if the lock was released by this call.
+     */
+    release(options = {}) {
+        if (!this.#isActive) {
+            return false;
+        }
+
+        this.#isActive = false;
+
+        if (this.#timeout !== undefined) {
+            window.clearTimeout(this.#timeout);
+        }
+
+        if (this.#signal) {
+            this.#signal.removeEventListener('abort', this.#handleAbort);
+        }
+
+        this.#onRelease(this, options);
+
+        return true;
+    }
+}
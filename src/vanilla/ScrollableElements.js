@@ -0,0 +1,61 @@
+/**
+ * Holds the elements that are still allowed to be scrolled while the page scrolling is blocked, e.g. the body of a modal.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class ScrollableElements
+ */
+export class ScrollableElements {
+
+    /**
+     * Holds the registered elements.
+     * @private
+     * @type {Set<HTMLElement>}
+     */
+    #elements = new Set();
+
+    /**
+     * Registers the given element.
+     * @param {HTMLElement} element
+     * @return {void}
+     */
+    add(element) {
+        this.#elements.add(element);
+    }
+
+    /**
+     * Removes the given element.
+     * @param {HTMLElement} element
+     * @return {void}
+     */
+    delete(element) {
+        this.#elements.delete(element);
+    }
+
+    /**
+     * Returns the innermost registered element containing the given node, e.g. a dropdown list inside the body of a modal.
+     * @param {Node} node - The target of an event.
+     * @return {HTMLElement|undefined}
+     */
+    find(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (this.#elements.has(current)) {
+                return current;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Returns true if the element can be scrolled any further in the given direction, scrolling to its edge is allowed but scroll chaining is not.
+     * @param {HTMLElement} element - A registered element.
+     * @param {number} deltaY - The vertical scroll distance, positive when scrolling down.
+     * @return {boolean}
+     */
+    canScroll(element, deltaY) {
+        const isAtTop = element.scrollTop <= 0;
+        const isAtBottom = element.scrollTop + element.clientHeight >= element.scrollHeight;
+
+        return !((isAtTop && deltaY < 0) || (isAtBottom && deltaY > 0));
+    }
+}
@@ -0,0 +1,137 @@
+import { ScrollableElements } from './ScrollableElements';
+
+/**
+ * A function that returns the scroll containers that are blocked with touch mode.
+ * @function
+ * @name TypeFnGetTargets
+ * @return {Iterable<HTMLElement>}
+ */
+
+/**
+ * Cancels touch scrolling inside of the blocked scroll containers while it is started. Registered scrollable elements can still be scrolled by touch,
+ * but scroll chaining to the page is cancelled when they reached their top or bottom edge.
+ * @version 1.0.0
+ * @author Sascha Quasthoff
+ * @class TouchGuard
+ */
+export class TouchGuard {
+
+    /**
+     * Holds the elements that are allowed to be scrolled by touch.
+     * @private
+     * @type {ScrollableElements}
+     */
+    #scrollableElements;
+
+    /**
+     * Holds the function that returns the scroll containers that are blocked with touch mode.
+     * @private
+     * @type {TypeFnGetTargets}
+     */
+    #getTargets;
+
+    /**
+     * Holds the vertical position of the touch that started the current gesture.
+     * @default 0
+     * @private
+     * @type {number}
+     */
+    #startY = 0;
+
+    /**
+     * Holds whether the touch listeners are registered.
+     * @default false
+     * @private
+     * @type {boolean}
+     */
+    #isStarted = false;
+
+    /**
+     * `document.touchstart` handler, stores the vertical position of the touch.
+     * @private
+     * @param {TouchEvent} event
+     * @return {void}
+     */
+    #handleTouchStart = event => {
+        if (event.touches.length === 1) {
+            this.#startY = event.touches[0].clientY;
+        }
+    };
+
+    /**
+     * `document.touchmove` handler, cancels the event inside of a blocked scroll container unless it scrolls a registered element
+     * that has not reached its edge.
+     * @private
+     * @param {TouchEvent} event
+     * @return {void}
+     */
+    #handleTouchMove = event => {
+        if (event.touches.length > 1 || !event.cancelable || !this.#isBlocked(event.target)) {
+            return;
+        }
+
+        const element = this.#scrollableElements.find(event.target);
+
+        if (!element || !this.#scrollableElements.canScroll(element, this.#startY - event.touches[0].clientY)) {
+            event.preventDefault();
+        }
+    };
+
+    /**
+     * Creates an instance of TouchGuard.
+     * @param {Object} [param = {}] - An object containing parameters.
+     * @param {ScrollableElements} [param.scrollableElements] - The elements that are allowed to be scrolled by touch.
+     * @param {TypeFnGetTargets} [param.getTargets] - A function that returns the scroll containers that are blocked with touch mode,
+     * the `documentElement` by default.
+     */
+    constructor({ scrollableElements = new ScrollableElements(), getTargets = () => [document.documentElement] } = {}) {
+        this.#scrollableElements = scrollableElements;
+        this.#getTargets = getTargets;
+    }
+
+    /**
+     * Returns true while the touch listeners are registered.
+     * @return {boolean}
+     */
+    get isStarted() {
+        return this.#isStarted;
+    }
+
+    /**
+     * Returns true if the given node is inside of a scroll container that is blocked with touch mode.
+     * @private
+     * @param {Node} node - The target of an event.
+     * @return {boolean}
+     */
+    #isBlocked(node) {
+        return [...this.#getTargets()].some(target => target.contains(node));
+    }
+
+    /**
+     * Registers the touch listeners on `document`. Does nothing if they are already registered.
+     * @return {void}
+     */
+    start() {
+        if (this.#isStarted) {
+            return;
+        }
+
+        document.addEventListener('touchstart', this.#handleTouchStart, { passive: true });
+        document.addEventListener('touchmove', this.#handleTouchMove, { passive: false });
+        this.#isStarted = true;
+    }
+
+    /**
+     * Removes the touch listeners from `document`.
+     * @return {void}
+     */
+    stop() {
+        if (!this.#isStarted) {
+            return;
+        }
+
+        document.removeEventListener('touchstart', this.#handleTouchStart, { passive: true });
+        document.removeEventListener('touchmove', this.#handleTouchMove, { passive: false });
+        this.#isStarted = false;
+    }
+}
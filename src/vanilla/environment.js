@@ -0,0 +1,5 @@
+/**
+ * Returns true if `window` and `document` exist, i.e. the code does not run during server side rendering.
+ * @return {boolean}
+ */
+export const hasDom = () => typeof window !== 'undefined' && typeof document !== 'undefined';
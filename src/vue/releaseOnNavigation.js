@@ -0,0 +1,17 @@
+/**
+ * Releases every lock of the ScrollBlocker that is not `persistent` when the router navigates to another path. The scroll positions are not restored,
+ * so the `scrollBehavior` of the router decides where the new page is scrolled to. Changes of the query or hash keep the locks,
+ * as do failed navigations, e.g. when a guard of an open modal aborts them, and the initial navigation, which would release the locks
+ * adopted from server side rendering.
+ * Supports Vue Router 3 and 4.
+ * @param {Object} router - The Vue Router instance.
+ * @param {ScrollBlocker} scrollBlocker
+ * @return {function} - A function that removes the navigation hook.
+ */
+export const releaseOnNavigation = (router, scrollBlocker) => router.afterEach((to, from, failure) => {
+    if (failure || !from.matched.length || to.path === from.path) {
+        return;
+    }
+
+    scrollBlocker.releaseAll({ restoreScrollPosition: false, keepPersistent: true });
+});
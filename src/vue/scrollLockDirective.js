@@ -0,0 +1,113 @@
+/**
+ * An Object representing the value of the `v-scroll-lock` directive.
+ * @typedef {Object} DirectiveValue
+ * @property {boolean} [enabled = true] - Whether the lock is held.
+ * @property {string|number} [breakpoint] - A breakpoint up to which the page scrolling will be blocked, see `ScrollBlocker.enable()`.
+ * @property {TypeFnGetMisplacedElements} [misplacedElements] - A function that returns a list of elements that are going to be misplaced when the scrollbar is removed.
+ * @property {boolean} [persistent = false] - Whether the lock survives router navigations, see `ScrollBlocker.enable()`.
+ */
+
+/**
+ * Normalizes the value of the directive, which is either a boolean or a DirectiveValue. A missing value holds the lock for the lifetime of the element.
+ * @param {boolean|DirectiveValue|undefined} value - The value of the directive.
+ * @return {DirectiveValue}
+ */
+const normalizeValue = value => {
+    if (value !== null && typeof value === 'object') {
+        return {
+            ...value,
+            enabled: value.enabled !== false
+        };
+    }
+
+    return {
+        enabled: value === undefined || Boolean(value)
+    };
+};
+
+/**
+ * Creates the `v-scroll-lock` directive for the given ScrollBlocker. The bound element owns a lock while the value of the directive is truthy
+ * and as long as the element exists, and is registered as scrollable element. The `touch` modifier enables the touch mode of the lock.
+ * Supports the hooks of Vue 2 and Vue 3. Pass a stable `misplacedElements` function, a new function re-acquires the lock on every update.
+ * @example <div v-scroll-lock="isOpen"></div>
+ * @example <div v-scroll-lock.touch="{ enabled: isOpen, breakpoint: '(max-width: 63.99em)' }"></div>
+ * @param {ScrollBlocker} scrollBlocker
+ * @return {Object} - The directive definition.
+ */
+export const createScrollLockDirective = scrollBlocker => {
+
+    /**
+     * Holds the parameters the lock of every bound element was acquired with.
+     * @type {WeakMap<HTMLElement, DirectiveValue>}
+     */
+    const lockedElements = new WeakMap();
+
+    /**
+     * Acquires or releases the lock of the element according to the binding. Re-acquires the lock when its parameters changed.
+     * @param {HTMLElement} el - The bound element.
+     * @param {Object} binding - The directive binding.
+     * @return {void}
+     */
+    const update = (el, { value, modifiers = {} }) => {
+        const { enabled, breakpoint, misplacedElements, persistent = false } = normalizeValue(value);
+        const current = lockedElements.get(el);
+
+        if (current && enabled && current.breakpoint === breakpoint && current.misplacedElements === misplacedElements &&
+            current.persistent === persistent) {
+            return;
+        }
+
+        if (current) {
+            scrollBlocker.disable(el);
+            lockedElements.delete(el);
+        }
+
+        if (!enabled) {
+            return;
+        }
+
+        scrollBlocker.enable({
+            owner: el,
+            breakpoint,
+            misplacedElements,
+            persistent,
+            touch: Boolean(modifiers.touch)
+        });
+        lockedElements.set(el, { breakpoint, misplacedElements, persistent });
+    };
+
+    /**
+     * Registers the element as scrollable element and acquires its lock.
+     * @param {HTMLElement} el - The bound element.
+     * @param {Object} binding - The directive binding.
+     * @return {void}
+     */
+    const bind = (el, binding) => {
+        scrollBlocker.addScrollableElement(el);
+        update(el, binding);
+    };
+
+    /**
+     * Releases the lock of the element, if it holds one, and removes it from the scrollable elements.
+     * @param {HTMLElement} el - The bound element.
+     * @return {void}
+     */
+    const unbind = el => {
+        if (lockedElements.has(el)) {
+            scrollBlocker.disable(el);
+        }
+
+        scrollBlocker.removeScrollableElement(el);
+        lockedElements.delete(el);
+    };
+
+    return {
+        bind,
+        update,
+        unbind,
+        mounted: bind,
+        updated: update,
+        unmounted: unbind
+    };
+
+};
@@ -0,0 +1,117 @@
+import chai, { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { Breakpoint } from '../src/vanilla/Breakpoint';
+import { fakeMatchMedia } from './helpers/matchMedia';
+
+chai.use(sinonChai);
+
+let matchingQueries;
+let notifyChange;
+
+describe('Breakpoint', () => {
+    beforeEach(() => {
+        const dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title>');
+
+        global.window = dom.window;
+        global.document = window.document;
+
+        matchingQueries = new Set();
+        notifyChange = fakeMatchMedia(matchingQueries);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('toMediaQuery()', () => {
+        it('should convert numbers into a query matching narrower viewports.', () => {
+            expect(Breakpoint.toMediaQuery(800)).to.equal('not all and (min-width: 800px)');
+        });
+
+        it('should convert pixel values into a query matching narrower viewports.', () => {
+            expect(Breakpoint.toMediaQuery('800px')).to.equal('not all and (min-width: 800px)');
+        });
+
+        it('should convert other lengths into a query matching narrower viewports.', () => {
+            expect(Breakpoint.toMediaQuery('64em')).to.equal('not all and (min-width: 64em)');
+        });
+
+        it('should keep media queries.', () => {
+            expect(Breakpoint.toMediaQuery('(hover: none)')).to.equal('(hover: none)');
+            expect(Breakpoint.toMediaQuery('(max-width: 63.99em)')).to.equal('(max-width: 63.99em)');
+        });
+    });
+
+    describe('matches', () => {
+        it('should be `true` while the viewport is narrower than a pixel breakpoint.', () => {
+            expect(new Breakpoint('2000px').matches).to.be.true;
+            expect(new Breakpoint('800px').matches).to.be.false;
+        });
+
+        it('should reflect whether the media query matches.', () => {
+            const breakpoint = new Breakpoint('(orientation: portrait)');
+
+            expect(breakpoint.matches).to.be.false;
+
+            matchingQueries.add('(orientation: portrait)');
+
+            expect(breakpoint.matches).to.be.true;
+        });
+    });
+
+    describe('watch()', () => {
+        it('should call the listener when the media query changes.', () => {
+            const listener = sinon.fake();
+
+            new Breakpoint('(hover: none)').watch(listener);
+            notifyChange();
+
+            expect(listener).to.have.been.calledOnce;
+        });
+
+        it('should fall back to `addListener()` when `addEventListener()` is not supported.', () => {
+            const mediaQueryList = { matches: false, media: '(hover: none)', addListener: sinon.fake(), removeListener: sinon.fake() };
+            const listener = sinon.fake();
+
+            window.matchMedia = () => mediaQueryList;
+
+            const breakpoint = new Breakpoint('(hover: none)');
+
+            breakpoint.watch(listener);
+            breakpoint.unwatch(listener);
+
+            expect(mediaQueryList.addListener).to.have.been.calledOnceWith(listener);
+            expect(mediaQueryList.removeListener).to.have.been.calledOnceWith(listener);
+        });
+    });
+
+    describe('unwatch()', () => {
+        it('should remove the listener.', () => {
+            const listener = sinon.fake();
+            const breakpoint = new Breakpoint('(hover: none)');
+
+            breakpoint.watch(listener);
+            breakpoint.unwatch(listener);
+            notifyChange();
+
+            expect(listener).to.not.have.been.called;
+        });
+    });
+
+    describe('without DOM', () => {
+        beforeEach(() => {
+            delete global.window;
+            delete global.document;
+        });
+
+        it('should never match and ignore listeners.', () => {
+            const breakpoint = new Breakpoint(800);
+
+            expect(breakpoint.matches).to.be.false;
+            expect(breakpoint.query).to.equal('not all and (min-width: 800px)');
+            expect(() => breakpoint.watch(sinon.fake())).to.not.throw();
+        });
+    });
+});
@@ -0,0 +1,53 @@
+import chai, { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { FrameClient } from '../src/vanilla/FrameClient';
+import { LOCK_MESSAGE, UNLOCK_MESSAGE } from '../src/vanilla/FrameHost';
+
+chai.use(sinonChai);
+
+let frameClient;
+
+describe('FrameClient', () => {
+    beforeEach(() => {
+        const dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title>');
+
+        global.window = dom.window;
+        global.document = window.document;
+
+        Object.defineProperty(window, 'parent', { value: { postMessage: sinon.fake() } });
+        frameClient = new FrameClient({ parentOrigin: 'https://shop.example.com' });
+    });
+
+    afterEach(() => {
+        frameClient.unlock();
+        sinon.restore();
+    });
+
+    it('should request a lock on the parent page only once.', () => {
+        frameClient.lock(true);
+        frameClient.lock();
+
+        expect(frameClient.isLocked).to.be.true;
+        expect(window.parent.postMessage).to.have.been.calledOnceWith({ type: LOCK_MESSAGE, touch: true }, 'https://shop.example.com');
+    });
+
+    it('should release the lock on the parent page.', () => {
+        frameClient.unlock();
+        frameClient.lock();
+        frameClient.unlock();
+
+        expect(frameClient.isLocked).to.be.false;
+        expect(window.parent.postMessage).to.have.been.calledTwice;
+        expect(window.parent.postMessage.secondCall).to.have.been.calledWith({ type: UNLOCK_MESSAGE }, 'https://shop.example.com');
+    });
+
+    it('should release the lock on the parent page when the frame unloads.', () => {
+        frameClient.lock();
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        expect(frameClient.isLocked).to.be.false;
+        expect(window.parent.postMessage.secondCall).to.have.been.calledWith({ type: UNLOCK_MESSAGE });
+    });
+});
@@ -0,0 +1,85 @@
+import chai, { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { FrameHost, LOCK_MESSAGE, UNLOCK_MESSAGE } from '../src/vanilla/FrameHost';
+
+chai.use(sinonChai);
+
+const dispatchMessage = (data, origin, source) => {
+    window.dispatchEvent(new window.MessageEvent('message', { data, origin, source }));
+};
+
+let onLock;
+let onUnlock;
+let frameHost;
+let frame;
+
+describe('FrameHost', () => {
+    beforeEach(() => {
+        const dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title><iframe></iframe>');
+
+        global.window = dom.window;
+        global.document = window.document;
+
+        frame = document.querySelector('iframe');
+        onLock = sinon.fake();
+        onUnlock = sinon.fake();
+        frameHost = new FrameHost({ allowedOrigins: ['https://checkout.example.com'], onLock, onUnlock });
+        frameHost.start();
+    });
+
+    afterEach(() => {
+        frameHost.stop();
+        sinon.restore();
+    });
+
+    it('should pass lock requests of allowed origins on with the `iframe` element.', () => {
+        dispatchMessage({ type: LOCK_MESSAGE, touch: true }, 'https://checkout.example.com', frame.contentWindow);
+        dispatchMessage({ type: UNLOCK_MESSAGE }, 'https://checkout.example.com', frame.contentWindow);
+
+        expect(onLock).to.have.been.calledOnceWith({ frame, origin: 'https://checkout.example.com', touch: true });
+        expect(onUnlock).to.have.been.calledOnceWith({ frame, origin: 'https://checkout.example.com', touch: false });
+    });
+
+    it('should ignore messages of other origins.', () => {
+        dispatchMessage({ type: LOCK_MESSAGE }, 'https://evil.example.com', frame.contentWindow);
+
+        expect(onLock).to.not.have.been.called;
+    });
+
+    it('should ignore other messages.', () => {
+        dispatchMessage('scroll-blocker:frame-lock', 'https://checkout.example.com', frame.contentWindow);
+        dispatchMessage({ type: 'other' }, 'https://checkout.example.com', frame.contentWindow);
+
+        expect(onLock).to.not.have.been.called;
+        expect(onUnlock).to.not.have.been.called;
+    });
+
+    it('should keep the lock of a frame that requested it while its `iframe` element was still loading.', () => {
+        dispatchMessage({ type: LOCK_MESSAGE }, 'https://checkout.example.com', frame.contentWindow);
+        frame.dispatchEvent(new window.Event('load'));
+
+        expect(onUnlock).to.not.have.been.called;
+
+        dispatchMessage({ type: UNLOCK_MESSAGE }, 'https://checkout.example.com', frame.contentWindow);
+
+        expect(onUnlock).to.have.been.calledOnceWith({ frame, origin: 'https://checkout.example.com', touch: false });
+    });
+
+    it('should release the lock of a frame when its `iframe` element is removed.', async () => {
+        dispatchMessage({ type: LOCK_MESSAGE }, 'https://checkout.example.com', frame.contentWindow);
+        frame.remove();
+        await new Promise(resolve => setTimeout(resolve));
+
+        expect(onUnlock).to.have.been.calledOnceWith({ frame, origin: 'https://checkout.example.com', touch: false });
+    });
+
+    it('should not pass anything on after `stop()` was called.', () => {
+        frameHost.stop();
+        dispatchMessage({ type: LOCK_MESSAGE }, 'https://checkout.example.com', frame.contentWindow);
+
+        expect(onLock).to.not.have.been.called;
+        expect(frameHost.isStarted).to.be.false;
+    });
+});
@@ -0,0 +1,190 @@
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import { InputGuard } from '../src/vanilla/InputGuard';
+import { ScrollableElements } from '../src/vanilla/ScrollableElements';
+
+const dispatch = (target, event) => {
+    target.dispatchEvent(event);
+
+    return event;
+};
+
+const wheel = (target, deltaY = 100, init = {}) => dispatch(target, new window.WheelEvent('wheel', { bubbles: true, cancelable: true, deltaY, ...init }));
+const keyDown = (target, key, init = {}) => dispatch(target, new window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, key, ...init }));
+const mouseDown = (target, button) => dispatch(target, new window.MouseEvent('mousedown', { bubbles: true, cancelable: true, button }));
+
+const mockScrollable = (element, { scrollTop, clientHeight = 100, scrollHeight = 300 }) => {
+    Object.defineProperty(element, 'scrollTop', { value: scrollTop });
+    Object.defineProperty(element, 'clientHeight', { value: clientHeight });
+    Object.defineProperty(element, 'scrollHeight', { value: scrollHeight });
+};
+
+let targets;
+let scrollableElements;
+let inputGuard;
+
+describe('InputGuard', () => {
+    beforeEach(() => {
+        const dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title><div><p>first</p></div><input><main><p>second</p><button>close</button><a href="#top">top</a><span role="button">open</span></main>');
+
+        global.window = dom.window;
+        global.document = window.document;
+
+        targets = [document.documentElement];
+        scrollableElements = new ScrollableElements();
+        inputGuard = new InputGuard({
+            scrollableElements,
+            getTargets: () => targets
+        });
+        inputGuard.start();
+    });
+
+    afterEach(() => {
+        inputGuard.stop();
+    });
+
+    describe('wheel', () => {
+        it('should be cancelled inside of a blocked scroll container.', () => {
+            expect(wheel(document.body).defaultPrevented).to.be.true;
+        });
+
+        it('should not be cancelled outside of the blocked scroll containers.', () => {
+            targets = [document.querySelector('main')];
+
+            expect(wheel(document.querySelector('div')).defaultPrevented).to.be.false;
+            expect(wheel(document.querySelector('main p')).defaultPrevented).to.be.true;
+        });
+
+        it('should not be cancelled inside of a scrollable element that has not reached its edge.', () => {
+            const scrollable = document.querySelector('div');
+
+            mockScrollable(scrollable, { scrollTop: 100 });
+            scrollableElements.add(scrollable);
+
+            expect(wheel(scrollable.querySelector('p')).defaultPrevented).to.be.false;
+        });
+
+        it('should be cancelled inside of a scrollable element that reached its edge.', () => {
+            const scrollable = document.querySelector('div');
+
+            scrollableElements.add(scrollable);
+
+            expect(wheel(scrollable, -100).defaultPrevented).to.be.true;
+        });
+
+        it('should not be cancelled while the control or meta key is pressed to zoom the page.', () => {
+            expect(wheel(document.body, 100, { ctrlKey: true }).defaultPrevented).to.be.false;
+            expect(wheel(document.body, 100, { metaKey: true }).defaultPrevented).to.be.false;
+        });
+
+        it('should not be handled when it was already cancelled.', () => {
+            const find = sinon.spy(scrollableElements, 'find');
+
+            document.body.addEventListener('wheel', event => event.preventDefault());
+            wheel(document.body);
+
+            expect(find.called).to.be.false;
+        });
+    });
+
+    describe('keydown', () => {
+        it('should be cancelled for scroll keys.', () => {
+            [ 'ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' ' ].forEach(key => {
+                expect(keyDown(document.body, key).defaultPrevented).to.be.true;
+            });
+        });
+
+        it('should not be cancelled for other keys.', () => {
+            expect(keyDown(document.body, 'Enter').defaultPrevented).to.be.false;
+        });
+
+        it('should not be cancelled inside of form fields.', () => {
+            expect(keyDown(document.querySelector('input'), ' ').defaultPrevented).to.be.false;
+        });
+
+        it('should not be cancelled for keyboard shortcuts with the control or meta key.', () => {
+            [ 'ArrowUp', 'ArrowDown', 'Home', 'End' ].forEach(key => {
+                expect(keyDown(document.body, key, { ctrlKey: true }).defaultPrevented).to.be.false;
+                expect(keyDown(document.body, key, { metaKey: true }).defaultPrevented).to.be.false;
+            });
+        });
+
+        it('should not cancel the space key on interactive elements.', () => {
+            [ 'button', 'a', '[role="button"]' ].forEach(selector => {
+                expect(keyDown(document.querySelector(selector), ' ').defaultPrevented).to.be.false;
+            });
+        });
+
+        it('should cancel other scroll keys on interactive elements.', () => {
+            expect(keyDown(document.querySelector('button'), 'PageDown').defaultPrevented).to.be.true;
+        });
+
+        it('should not be cancelled inside of a scrollable element that has not reached its edge.', () => {
+            const scrollable = document.querySelector('div');
+
+            mockScrollable(scrollable, { scrollTop: 100 });
+            scrollableElements.add(scrollable);
+
+            [ 'ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' ' ].forEach(key => {
+                expect(keyDown(scrollable.querySelector('p'), key).defaultPrevented).to.be.false;
+            });
+        });
+
+        it('should cancel the keys scrolling up inside of a scrollable element at its top edge.', () => {
+            const scrollable = document.querySelector('div');
+
+            mockScrollable(scrollable, { scrollTop: 0 });
+            scrollableElements.add(scrollable);
+
+            [ 'ArrowUp', 'PageUp', 'Home' ].forEach(key => {
+                expect(keyDown(scrollable.querySelector('p'), key).defaultPrevented).to.be.true;
+            });
+            expect(keyDown(scrollable.querySelector('p'), ' ', { shiftKey: true }).defaultPrevented).to.be.true;
+            expect(keyDown(scrollable.querySelector('p'), 'ArrowDown').defaultPrevented).to.be.false;
+        });
+
+        it('should cancel the keys scrolling down inside of a scrollable element at its bottom edge.', () => {
+            const scrollable = document.querySelector('div');
+
+            mockScrollable(scrollable, { scrollTop: 200 });
+            scrollableElements.add(scrollable);
+
+            [ 'ArrowDown', 'PageDown', 'End', ' ' ].forEach(key => {
+                expect(keyDown(scrollable.querySelector('p'), key).defaultPrevented).to.be.true;
+            });
+            expect(keyDown(scrollable.querySelector('p'), 'ArrowUp').defaultPrevented).to.be.false;
+        });
+
+        it('should cancel scroll keys on a button inside of a scrollable element that does not overflow.', () => {
+            const modal = document.querySelector('main');
+
+            mockScrollable(modal, { scrollTop: 0, scrollHeight: 100 });
+            scrollableElements.add(modal);
+
+            [ 'ArrowDown', 'PageDown', 'End' ].forEach(key => {
+                expect(keyDown(modal.querySelector('button'), key).defaultPrevented).to.be.true;
+            });
+            expect(keyDown(modal.querySelector('button'), ' ').defaultPrevented).to.be.false;
+        });
+    });
+
+    describe('mousedown', () => {
+        it('should be cancelled for the middle mouse button.', () => {
+            expect(mouseDown(document.body, 1).defaultPrevented).to.be.true;
+        });
+
+        it('should not be cancelled for the main mouse button.', () => {
+            expect(mouseDown(document.body, 0).defaultPrevented).to.be.false;
+        });
+    });
+
+    describe('stop()', () => {
+        it('should remove the input listeners.', () => {
+            inputGuard.stop();
+
+            expect(wheel(document.body).defaultPrevented).to.be.false;
+            expect(keyDown(document.body, 'ArrowDown').defaultPrevented).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import chai, { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { LifecycleGuard } from '../src/vanilla/LifecycleGuard';
+
+chai.use(sinonChai);
+
+const dispatchPageShow = persisted => {
+    const event = new window.Event('pageshow');
+
+    Object.defineProperty(event, 'persisted', { value: persisted });
+    window.dispatchEvent(event);
+};
+
+const dispatchVisibilityChange = visibilityState => {
+    Object.defineProperty(document, 'visibilityState', { value: visibilityState, configurable: true });
+    document.dispatchEvent(new window.Event('visibilitychange'));
+};
+
+let onResume;
+let lifecycleGuard;
+
+describe('LifecycleGuard', () => {
+    beforeEach(() => {
+        const dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title>');
+
+        global.window = dom.window;
+        global.document = window.document;
+
+        onResume = sinon.fake();
+        lifecycleGuard = new LifecycleGuard({ onResume });
+        lifecycleGuard.start();
+    });
+
+    afterEach(() => {
+        lifecycleGuard.stop();
+        sinon.restore();
+    });
+
+    it('should call `onResume` when the page is restored from the back-forward cache.', () => {
+        dispatchPageShow(false);
+        dispatchPageShow(true);
+
+        expect(onResume).to.have.been.calledOnce;
+    });
+
+    it('should call `onResume` when the page becomes visible.', () => {
+        dispatchVisibilityChange('hidden');
+        dispatchVisibilityChange('visible');
+
+        expect(onResume).to.have.been.calledOnce;
+    });
+
+    it('should not call anything after `stop()` was called.', () => {
+        lifecycleGuard.stop();
+        dispatchPageShow(true);
+        dispatchVisibilityChange('visible');
+
+        expect(onResume).to.not.have.been.called;
+        expect(lifecycleGuard.isStarted).to.be.false;
+    });
+});
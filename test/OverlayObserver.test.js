@@ -0,0 +1,205 @@
+import chai, { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { OverlayObserver } from '../src/vanilla/OverlayObserver';
+
+chai.use(sinonChai);
+
+const flushMutations = () => new Promise(resolve => setTimeout(resolve));
+
+let dom;
+let onOpen;
+let onClose;
+let overlayObserver;
+let dialog;
+
+describe('OverlayObserver', () => {
+    beforeEach(() => {
+        dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title><dialog></dialog><div class="drawer" data-scroll-block hidden></div>');
+
+        global.window = dom.window;
+        global.document = window.document;
+
+        dialog = document.querySelector('dialog');
+        onOpen = sinon.fake();
+        onClose = sinon.fake();
+        overlayObserver = new OverlayObserver({ onOpen, onClose });
+        overlayObserver.start();
+    });
+
+    afterEach(() => {
+        overlayObserver.stop();
+        sinon.restore();
+        dom.window.close();
+    });
+
+    it('should call `onOpen` when a dialog gains the `open` attribute and `onClose` when it loses it.', async () => {
+        dialog.setAttribute('open', '');
+        await flushMutations();
+
+        expect(onOpen).to.have.been.calledOnceWith(dialog);
+
+        dialog.removeAttribute('open');
+        await flushMutations();
+
+        expect(onClose).to.have.been.calledOnceWith(dialog);
+    });
+
+    it('should call `onOpen` for overlays that are already open when it is started.', () => {
+        overlayObserver.stop();
+        dialog.setAttribute('open', '');
+        overlayObserver.start();
+
+        expect(onOpen).to.have.been.calledOnceWith(dialog);
+    });
+
+    it('should call `onClose` synchronously on `close`.', () => {
+        dialog.setAttribute('open', '');
+        overlayObserver.update();
+        dialog.removeAttribute('open');
+        dialog.dispatchEvent(new window.Event('close'));
+
+        expect(onClose).to.have.been.calledOnceWith(dialog);
+    });
+
+    it('should keep a dialog open when its `cancel` event is prevented.', async () => {
+        dialog.setAttribute('open', '');
+        overlayObserver.update();
+        dialog.dispatchEvent(new window.Event('cancel', { cancelable: true }));
+        await flushMutations();
+
+        expect(onClose).to.not.have.been.called;
+    });
+
+    it('should call `onClose` when an open dialog is removed from the document.', async () => {
+        dialog.setAttribute('open', '');
+        await flushMutations();
+        dialog.remove();
+        await flushMutations();
+
+        expect(onClose).to.have.been.calledOnceWith(dialog);
+    });
+
+    it('should call `onOpen` and `onClose` when an element with `data-scroll-block` is shown and hidden.', async () => {
+        const drawer = document.querySelector('.drawer');
+
+        drawer.hidden = false;
+        await flushMutations();
+
+        expect(onOpen).to.have.been.calledOnceWith(drawer);
+
+        drawer.style.display = 'none';
+        await flushMutations();
+
+        expect(onClose).to.have.been.calledOnceWith(drawer);
+    });
+
+    it('should call `onOpen` and `onClose` when a popover is toggled.', () => {
+        const popover = document.createElement('div');
+        let isOpen = false;
+
+        popover.setAttribute('popover', '');
+        document.body.append(popover);
+        sinon.stub(popover, 'matches').callsFake(selector => selector === ':popover-open' && isOpen);
+
+        isOpen = true;
+        popover.dispatchEvent(new window.Event('toggle'));
+
+        expect(onOpen).to.have.been.calledOnceWith(popover);
+
+        isOpen = false;
+        popover.dispatchEvent(new window.Event('toggle'));
+
+        expect(onClose).to.have.been.calledOnceWith(popover);
+    });
+
+    it('should ignore overlays with `data-scroll-block="false"`.', async () => {
+        dialog.setAttribute('data-scroll-block', 'false');
+        dialog.setAttribute('open', '');
+        await flushMutations();
+
+        expect(onOpen).to.not.have.been.called;
+    });
+
+    it('should not look for overlays on unrelated style and class changes.', async () => {
+        const paragraph = document.createElement('p');
+
+        document.body.append(paragraph);
+        await flushMutations();
+
+        const spy = sinon.spy(document, 'querySelectorAll');
+
+        for (let index = 0; index < 60; index++) {
+            paragraph.style.transform = `translateX(${index}px)`;
+            await flushMutations();
+        }
+
+        expect(spy).to.not.have.been.called;
+    });
+
+    it('should not look for overlays on style and class changes of `<html>` and `<body>` without marked elements.', async () => {
+        document.querySelector('.drawer').remove();
+        await flushMutations();
+
+        const spy = sinon.spy(document, 'querySelectorAll');
+
+        document.documentElement.classList.add('has-no-scroll');
+        document.body.style.top = '-100px';
+        await flushMutations();
+
+        expect(spy).to.not.have.been.called;
+    });
+
+    it('should call `onOpen` when a class of `<body>` shows a marked element.', async () => {
+        const style = document.createElement('style');
+        const menu = document.createElement('nav');
+
+        style.textContent = '.menu { display: none; } body.menu-open .menu { display: block; }';
+        menu.className = 'menu';
+        menu.setAttribute('data-scroll-block', '');
+        document.head.append(style);
+        document.body.append(menu);
+        await flushMutations();
+
+        expect(onOpen).to.not.have.been.called;
+
+        document.body.classList.add('menu-open');
+        await flushMutations();
+
+        expect(onOpen).to.have.been.calledOnceWith(menu);
+    });
+
+    it('should look for overlays when an ancestor of a marked element is shown.', async () => {
+        const wrapper = document.createElement('div');
+        const drawer = document.querySelector('.drawer');
+
+        wrapper.hidden = true;
+        document.body.append(wrapper);
+        drawer.hidden = false;
+        wrapper.append(drawer);
+        await flushMutations();
+
+        expect(onOpen).to.not.have.been.called;
+
+        wrapper.hidden = false;
+        await flushMutations();
+
+        expect(onOpen).to.have.been.calledOnceWith(drawer);
+    });
+
+    it('should call `onClose` for the open overlays and stop observing when it is stopped.', async () => {
+        dialog.setAttribute('open', '');
+        overlayObserver.update();
+        overlayObserver.stop();
+
+        expect(onClose).to.have.been.calledOnceWith(dialog);
+        expect(overlayObserver.isStarted).to.equal(false);
+
+        dialog.removeAttribute('open');
+        dialog.setAttribute('open', '');
+        await flushMutations();
+
+        expect(onOpen).to.have.been.calledOnce;
+    });
+});
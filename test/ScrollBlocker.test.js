@@ -2,18 +2,23 @@ import chai, { expect } from 'chai';
 import { JSDOM } from 'jsdom';
 import sinon from 'sinon';
 import sinonChai from 'sinon-chai';
+import { fakeMatchMedia } from './helpers/matchMedia';
 import defaultExport, { ScrollBlocker } from '../src/vanilla/ScrollBlocker';
+import { ScrollLock } from '../src/vanilla/ScrollLock';
 
 chai.use(sinonChai);
 
 const defaultClassName = 'has-no-scroll';
 const rootContainsClassname = className => document.documentElement.classList.contains(className);
 
+let dom;
 let scrollBlocker;
+let matchingQueries;
+let notifyMediaChange;
 
 describe('ScrollBlocker', () => {
     beforeEach(() => {
-        const dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title><p>first<p>second');
+        dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title><p>first<p>second');
 
         global.window = dom.window;
         global.document = window.document;
@@ -25,15 +30,18 @@ describe('ScrollBlocker', () => {
         global.window.addEventListener = sinon.fake();
         global.window.removeEventListener = sinon.fake();
 
-        global.window.requestAnimationFrame = sinon.fake(fn => {
-            global.window.setTimeout(fn, 20);
-        });
+        global.window.requestAnimationFrame = sinon.fake(fn => global.window.setTimeout(fn, 20));
+        global.window.cancelAnimationFrame = sinon.fake(id => global.window.clearTimeout(id));
+
+        matchingQueries = new Set();
+        notifyMediaChange = fakeMatchMedia(matchingQueries);
 
         scrollBlocker = new ScrollBlocker();
     });
 
     afterEach(() => {
         sinon.restore();
+        dom.window.close();
     });
 
     describe('constructor()', () => {
@@ -75,6 +83,104 @@ describe('ScrollBlocker', () => {
         });
     });
 
+    describe('getInstance()', () => {
+        it('should return the same instance for every call.', () => {
+            const instance = ScrollBlocker.getInstance({ className: 'is-locked' });
+
+            expect(instance).to.be.an.instanceOf(ScrollBlocker);
+            expect(ScrollBlocker.getInstance()).to.equal(instance);
+            expect(instance.className).to.equal('is-locked');
+        });
+
+        it('should return the instance registered by another copy on the global symbol.', () => {
+            const instance = new ScrollBlocker();
+
+            window[Symbol.for('@this/scroll-blocker/v1')] = instance;
+
+            expect(ScrollBlocker.getInstance()).to.equal(instance);
+        });
+
+        it('should share the lock count between the callers.', () => {
+            ScrollBlocker.getInstance().enable({ owner: 'shell' });
+            ScrollBlocker.getInstance().enable({ owner: 'micro-frontend' });
+            ScrollBlocker.getInstance().disable('shell');
+
+            expect(ScrollBlocker.getInstance().lockCount).to.equal(1);
+            expect(rootContainsClassname(defaultClassName)).to.be.true;
+        });
+
+        it('should return a new instance for every call without DOM.', () => {
+            delete global.window;
+            delete global.document;
+
+            expect(ScrollBlocker.getInstance()).to.not.equal(ScrollBlocker.getInstance());
+        });
+    });
+
+    describe('bind()', () => {
+        let unbind;
+
+        beforeEach(() => {
+            document.body.insertAdjacentHTML('beforeend', `
+                <div class="cms">
+                    <button class="open" data-scroll-blocker="lock" data-scroll-blocker-breakpoint="800"><span>Open</span></button>
+                    <button class="menu" data-scroll-blocker="toggle"></button>
+                    <button class="close" data-scroll-blocker="unlock"></button>
+                </div>
+                <button class="outside" data-scroll-blocker="lock"></button>
+            `);
+            unbind = ScrollBlocker.bind(document.querySelector('.cms'), scrollBlocker);
+        });
+
+        const click = selector => document.querySelector(selector).dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+        it('should acquire a lock owned by a `lock` trigger with its breakpoint.', () => {
+            click('.open span');
+            click('.open');
+
+            const [lock] = scrollBlocker.inspect();
+
+            expect(scrollBlocker.lockCount).to.equal(1);
+            expect(lock.owner).to.equal(document.querySelector('.open'));
+            expect(lock.breakpoint).to.equal('800');
+        });
+
+        it('should acquire and release the lock of a `toggle` trigger.', () => {
+            click('.menu');
+
+            expect(scrollBlocker.owners).to.deep.equal([document.querySelector('.menu')]);
+
+            click('.menu');
+
+            expect(scrollBlocker.lockCount).to.equal(0);
+        });
+
+        it('should release the locks of every trigger with an `unlock` trigger.', () => {
+            click('.open');
+            click('.menu');
+            click('.close');
+
+            expect(scrollBlocker.lockCount).to.equal(0);
+        });
+
+        it('should ignore triggers outside of the root.', () => {
+            click('.outside');
+
+            expect(scrollBlocker.lockCount).to.equal(0);
+        });
+
+        it('should remove the listener and release the locks when it is unbound.', () => {
+            click('.menu');
+            unbind();
+
+            expect(scrollBlocker.lockCount).to.equal(0);
+
+            click('.menu');
+
+            expect(scrollBlocker.lockCount).to.equal(0);
+        });
+    });
+
     describe('isEnabled', () => {
         describe('when `enable()` was called at least once more than `disable()`', () => {
             it('should be `true`.', () => {
@@ -157,10 +263,285 @@ describe('ScrollBlocker', () => {
             }, 150 );
         });
 
-        it('should add a resize event listener on `window`.', () => {
+        it('should add a change listener on the media query of the given `breakpoint`.', () => {
             scrollBlocker.enable({ breakpoint: '2000px' });
 
-            expect(window.addEventListener).to.have.been.calledOnceWith('resize');
+            expect(window.matchMedia).to.have.been.calledOnceWith('not all and (min-width: 2000px)');
+            expect(window.matchMedia.firstCall.returnValue.addEventListener).to.have.been.calledOnceWith('change');
+        });
+
+        it('should accept a `breakpoint` in other units than pixels.', () => {
+            scrollBlocker.enable({ breakpoint: '64em' });
+
+            expect(window.matchMedia).to.have.been.calledOnceWith('not all and (min-width: 64em)');
+        });
+
+        it('should accept any media query as `breakpoint`.', () => {
+            scrollBlocker.enable({ breakpoint: '(hover: none)' });
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+
+            matchingQueries.add('(hover: none)');
+            notifyMediaChange();
+
+            expect(scrollBlocker.isEnabled).to.be.true;
+        });
+    });
+
+    describe('enable() with a `signal`', () => {
+        it('should release the lock when the signal aborts.', () => {
+            const controller = new AbortController();
+
+            scrollBlocker.enable({ signal: controller.signal });
+            controller.abort();
+
+            expect(scrollBlocker.lockCount).to.equal(0);
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+        });
+
+        it('should not block the page when the signal already aborted.', () => {
+            const lock = scrollBlocker.enable({ signal: AbortSignal.abort() });
+
+            expect(lock.isActive).to.be.false;
+            expect(scrollBlocker.lockCount).to.equal(0);
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+        });
+    });
+
+    describe('withLock()', () => {
+        it('should hold a lock until the promise resolves.', async () => {
+            let resolve;
+            const task = new Promise(fn => {
+                resolve = fn;
+            });
+            const result = scrollBlocker.withLock(task);
+
+            expect(scrollBlocker.isEnabled).to.be.true;
+
+            resolve('done');
+
+            expect(await result).to.equal('done');
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should call the function with the lock and release it when the function rejects.', async () => {
+            const error = new Error('failed');
+            const task = sinon.fake.rejects(error);
+
+            let reason;
+
+            try {
+                await scrollBlocker.withLock(task, { owner: 'loader' });
+            } catch (err) {
+                reason = err;
+            }
+
+            expect(task).to.have.been.calledOnce;
+            expect(task.firstCall.args[0].owner).to.equal('loader');
+            expect(reason).to.equal(error);
+            expect(scrollBlocker.lockCount).to.equal(0);
+        });
+
+        it('should not release the existing lock of an owner.', async () => {
+            const lock = scrollBlocker.enable({ owner: 'modal' });
+
+            await scrollBlocker.withLock(Promise.resolve(), { owner: 'modal' });
+
+            expect(lock.isActive).to.be.true;
+            expect(scrollBlocker.owners).to.deep.equal(['modal']);
+        });
+    });
+
+    describe('enable() with an `owner`', () => {
+        it('should return a `ScrollLock` holding the given owner.', () => {
+            const lock = scrollBlocker.enable({ owner: 'header' });
+
+            expect(lock).to.be.instanceOf(ScrollLock);
+            expect(lock.owner).to.equal('header');
+        });
+
+        it('should return the existing lock when the owner already holds one.', () => {
+            const lock = scrollBlocker.enable({ owner: 'header' });
+
+            expect(scrollBlocker.enable({ owner: 'header' })).to.equal(lock);
+            expect(scrollBlocker.lockCount).to.equal(1);
+        });
+
+        it('should return an active lock when the page scrolling should not be blocked at the current breakpoint.', () => {
+            const lock = scrollBlocker.enable({ owner: 'header', breakpoint: '800px' });
+
+            expect(lock.isActive).to.be.true;
+            expect(lock.matches).to.be.false;
+            expect(scrollBlocker.owners).to.deep.equal(['header']);
+        });
+    });
+
+    describe('enable() with a `target`', () => {
+        let container;
+
+        beforeEach(() => {
+            container = document.createElement('main');
+            document.body.appendChild(container);
+
+            Object.defineProperty(container, 'scrollTop', { value: 300, writable: true });
+            Object.defineProperty(container, 'scrollLeft', { value: 20, writable: true });
+        });
+
+        it('should add the className to the target instead of the `documentElement`.', () => {
+            scrollBlocker.enable({ target: container });
+
+            expect(container.classList.contains(defaultClassName)).to.be.true;
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+        });
+
+        it('should use the `target` given in the constructor options.', () => {
+            new ScrollBlocker({ target: container }).enable();
+
+            expect(container.classList.contains(defaultClassName)).to.be.true;
+        });
+
+        it('should restore the scroll position of the target on release.', () => {
+            const lock = scrollBlocker.enable({ target: container });
+
+            container.scrollTop = 0;
+            container.scrollLeft = 0;
+            lock.release();
+
+            expect(container.scrollTop).to.equal(300);
+            expect(container.scrollLeft).to.equal(20);
+            expect(window.scrollTo).to.not.have.been.called;
+        });
+
+        it('should add the scrollbar width to the own padding of the target.', () => {
+            container.style.padding = '24px';
+            Object.defineProperty(container, 'offsetWidth', { value: 415 });
+            Object.defineProperty(container, 'clientWidth', { value: 400 });
+
+            const lock = scrollBlocker.enable({ target: container });
+
+            expect(container.style.paddingRight).to.equal('39px');
+
+            lock.release();
+
+            expect(container.style.paddingRight).to.equal('24px');
+        });
+
+        it('should keep a separate count of locks per target.', () => {
+            const containerLock = scrollBlocker.enable({ target: container });
+
+            scrollBlocker.enable();
+            containerLock.release();
+
+            expect(scrollBlocker.isEnabledFor(container)).to.be.false;
+            expect(scrollBlocker.isEnabledFor()).to.be.true;
+            expect(rootContainsClassname(defaultClassName)).to.be.true;
+            expect(container.classList.contains(defaultClassName)).to.be.false;
+        });
+    });
+
+    describe('enable() with `touch`', () => {
+        const touchMove = target => {
+            const event = new window.Event('touchmove', { bubbles: true, cancelable: true });
+
+            Object.defineProperty(event, 'touches', { value: [{ clientY: 0 }] });
+            target.dispatchEvent(event);
+
+            return event;
+        };
+
+        it('should cancel touch scrolling while the lock is active.', () => {
+            const lock = scrollBlocker.enable({ touch: true });
+
+            expect(touchMove(document.body).defaultPrevented).to.be.true;
+
+            lock.release();
+
+            expect(touchMove(document.body).defaultPrevented).to.be.false;
+        });
+
+        it('should not cancel touch scrolling when `touch` is not enabled.', () => {
+            scrollBlocker.enable();
+
+            expect(touchMove(document.body).defaultPrevented).to.be.false;
+        });
+
+        it('should cancel touch scrolling until the last lock with `touch` is released.', () => {
+            const lock = scrollBlocker.enable({ touch: true });
+
+            scrollBlocker.enable({ owner: 'drawer', touch: true });
+            lock.release();
+
+            expect(touchMove(document.body).defaultPrevented).to.be.true;
+        });
+
+        it('should only cancel touch scrolling inside of the target of the lock.', () => {
+            const container = document.createElement('main');
+            const header = document.createElement('header');
+
+            document.body.append(header, container);
+            scrollBlocker.enable({ target: container, touch: true });
+
+            expect(touchMove(header).defaultPrevented).to.be.false;
+            expect(touchMove(container).defaultPrevented).to.be.true;
+        });
+    });
+
+    describe('enable() with the `input` strategy', () => {
+        const wheel = () => {
+            const event = new window.WheelEvent('wheel', { bubbles: true, cancelable: true, deltaY: 100 });
+
+            document.body.dispatchEvent(event);
+
+            return event;
+        };
+
+        beforeEach(() => {
+            window.scrollTo(0, 1000);
+            window.scrollTo.resetHistory();
+            scrollBlocker = new ScrollBlocker({ strategy: 'input' });
+        });
+
+        it('should neither add the className nor compensate the scrollbar.', () => {
+            scrollBlocker.enable();
+
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+            expect(document.documentElement.style.marginRight).to.equal('');
+            expect(document.body.style.top).to.equal('');
+        });
+
+        it('should cancel the mouse wheel while a lock is active.', () => {
+            const lock = scrollBlocker.enable();
+
+            expect(wheel().defaultPrevented).to.be.true;
+
+            lock.release();
+
+            expect(wheel().defaultPrevented).to.be.false;
+        });
+
+        it('should not restore the scroll position on release.', () => {
+            scrollBlocker.enable().release();
+
+            expect(window.scrollTo).to.not.have.been.called;
+        });
+    });
+
+    describe('owners', () => {
+        it('should list the owners of all active owned locks.', () => {
+            scrollBlocker.enable({ owner: 'header' });
+            scrollBlocker.enable();
+            scrollBlocker.enable({ owner: 'drawer' });
+
+            expect(scrollBlocker.owners).to.deep.equal([ 'header', 'drawer' ]);
+        });
+
+        it('should not list the owners of released locks.', () => {
+            const lock = scrollBlocker.enable({ owner: 'header' });
+
+            scrollBlocker.enable({ owner: 'drawer' });
+            lock.release();
+
+            expect(scrollBlocker.owners).to.deep.equal(['drawer']);
         });
     });
 
@@ -180,6 +561,13 @@ describe('ScrollBlocker', () => {
             expect(rootContainsClassname(defaultClassName)).to.be.false;
         });
 
+        it('should release the most recent anonymous lock when `false` is passed.', () => {
+            scrollBlocker.enable();
+            scrollBlocker.disable(false);
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
         it('should call `window.scrollTo()` with the original window scroll position.', () => {
             window.scrollTo(0, 1000);
 
@@ -190,6 +578,56 @@ describe('ScrollBlocker', () => {
             expect(window.scrollTo.getCall(0)).to.have.been.calledWith(0, 1000);
         });
 
+        it('should not restore the scroll position with `restoreScrollPosition: false`.', () => {
+            scrollBlocker.enable({ owner: 'modal' });
+            scrollBlocker.disable('modal', { restoreScrollPosition: false });
+
+            expect(window.scrollTo).to.not.have.been.called;
+        });
+
+        it('should scroll the element given as `scrollTo` into view instead of restoring the scroll position.', () => {
+            const element = document.querySelector('p');
+
+            element.scrollIntoView = sinon.fake();
+            scrollBlocker.enable();
+            scrollBlocker.disable(undefined, { scrollTo: element });
+
+            expect(element.scrollIntoView).to.have.been.calledOnce;
+            expect(window.scrollTo).to.not.have.been.called;
+        });
+
+        it('should scroll the element with the hash given as `scrollTo` into view.', () => {
+            const element = document.querySelector('p');
+
+            element.id = 'results';
+            element.scrollIntoView = sinon.fake();
+            scrollBlocker.enable();
+            scrollBlocker.disable(undefined, { scrollTo: '#results' });
+
+            expect(element.scrollIntoView).to.have.been.calledOnce;
+        });
+
+        it('should restore the scroll position when the element of the hash does not exist.', () => {
+            scrollBlocker.enable();
+            scrollBlocker.disable(undefined, { scrollTo: '#missing' });
+
+            expect(window.scrollTo).to.have.been.calledOnceWith(0, 0);
+        });
+
+        it('should force `scroll-behavior: auto` while restoring the scroll position with `instant`.', () => {
+            let scrollBehavior;
+
+            window.scrollTo = sinon.fake(() => {
+                scrollBehavior = document.documentElement.style.scrollBehavior;
+            });
+            document.documentElement.style.scrollBehavior = 'smooth';
+            scrollBlocker.enable();
+            scrollBlocker.disable(undefined, { instant: true });
+
+            expect(scrollBehavior).to.equal('auto');
+            expect(document.documentElement.style.scrollBehavior).to.equal('smooth');
+        });
+
         // This test is skipped because JSDom is not able to reset properties like 'margin-right' at the moment.
         // See https://github.com/jsdom/jsdom/issues/3372 and https://github.com/jsdom/cssstyle/pull/162.
         it.skip('should remove the scrollbar width adjustment on the `documentElement`.', () => {
@@ -225,82 +663,1171 @@ describe('ScrollBlocker', () => {
             }, 150 );
         });
 
-        it('should remove a resize event listener on `window`.', () => {
+        it('should not release locks that were acquired with an `owner`.', () => {
+            scrollBlocker.enable({ owner: 'header' });
+            scrollBlocker.disable();
+
+            expect(scrollBlocker.isEnabled).to.be.true;
+        });
+
+        it('should release the lock of the given owner.', () => {
+            scrollBlocker.enable({ owner: 'header' });
+            scrollBlocker.enable({ owner: 'drawer' });
+            scrollBlocker.disable('header');
+
+            expect(scrollBlocker.owners).to.deep.equal(['drawer']);
+        });
+
+        it('should release the given lock.', () => {
+            const lock = scrollBlocker.enable({ owner: 'header' });
+
+            scrollBlocker.disable(lock);
+
+            expect(lock.isActive).to.be.false;
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should only release anonymous locks when called with parameter `force` equal to `true`.', () => {
+            scrollBlocker.enable({ owner: 'header' });
             scrollBlocker.enable();
+            scrollBlocker.enable();
+            scrollBlocker.disable(true);
+
+            expect(scrollBlocker.lockCount).to.equal(1);
+            expect(scrollBlocker.owners).to.deep.equal(['header']);
+        });
+
+        it('should remove the change listener from the media query of the `breakpoint`.', () => {
+            scrollBlocker.enable({ breakpoint: '2000px' });
             scrollBlocker.disable();
 
-            expect(window.removeEventListener).to.have.been.calledOnceWith('resize');
+            expect(window.matchMedia.firstCall.returnValue.removeEventListener).to.have.been.calledOnceWith('change');
         });
     });
 
-    describe('#adjustElementPositions()', () => {
-        it('should not adjust any stylings when no scrollbar is present.', done => {
-            window.innerWidth = 0;
+    describe('on()', () => {
+        it('should call the `lock` listener when the first lock is acquired.', () => {
+            const listener = sinon.fake();
 
+            scrollBlocker.on('lock', listener);
+            scrollBlocker.enable();
             scrollBlocker.enable();
 
-            setTimeout( () => {
-                try {
-                    expect(document.body.style.top).to.equal('');
-                    done();
-                } catch (err) {
-                    done(err);
-                }
-            }, 150 );
+            expect(listener).to.have.been.calledOnce;
+            expect(listener.firstArg).to.include({
+                type: 'lock',
+                lockCount: 1,
+                scrollbarWidth: 1024,
+                target: document.documentElement
+            });
         });
-    });
 
-    describe('#handleResize', () => {
-        const resizeHandlerSandbox = sinon.createSandbox();
-        let eventListenerRegistered;
+        it('should call the `unlock` listener when the last lock is released.', () => {
+            const listener = sinon.fake();
+            const lock = scrollBlocker.enable();
 
-        beforeEach(() => {
-            global.window.addEventListener = ({}, callback) => {
-                if (eventListenerRegistered) {
-                    return;
-                }
+            scrollBlocker.on('unlock', listener);
+            scrollBlocker.enable().release();
+
+            expect(listener).to.not.have.been.called;
 
-                callback();
-                eventListenerRegistered = true;
-            };
+            lock.release();
 
-            eventListenerRegistered = false;
-            resizeHandlerSandbox.spy(scrollBlocker);
+            expect(listener).to.have.been.calledOnce;
+            expect(listener.firstArg).to.include({ lockCount: 0, scrollbarWidth: 1024 });
         });
 
-        afterEach(() => {
-            resizeHandlerSandbox.restore();
+        it('should call the `count-change` listener whenever the number of locks changes.', () => {
+            const listener = sinon.fake();
+
+            scrollBlocker.on('count-change', listener);
+            scrollBlocker.enable();
+            scrollBlocker.enable();
+            scrollBlocker.disable();
+
+            expect(listener.args.map(([{ lockCount }]) => lockCount)).to.deep.equal([ 1, 2, 1 ]);
         });
 
-        describe('when scrolling should be locked', () => {
-            it('should invoke `enable()` method.', done => {
-                scrollBlocker.enable({ breakpoint: '2000px' });
+        it('should call the `breakpoint-suspend` and `breakpoint-resume` listeners when the breakpoint stops and starts to match.', () => {
+            const suspendListener = sinon.fake();
+            const resumeListener = sinon.fake();
 
-                resizeHandlerSandbox.reset();
+            scrollBlocker.on('breakpoint-suspend', suspendListener);
+            scrollBlocker.on('breakpoint-resume', resumeListener);
+            scrollBlocker.enable({ owner: 'navigation', breakpoint: '2000px' });
 
-                setTimeout(() => {
-                    expect(scrollBlocker.enable).to.have.been.calledOnce;
-                    expect(scrollBlocker.disable).to.not.have.been.called;
+            window.innerWidth = 3000;
+            notifyMediaChange();
+            window.innerWidth = 1000;
+            notifyMediaChange();
 
-                    done();
-                }, 150);
-            });
+            expect(suspendListener).to.have.been.calledOnce;
+            expect(suspendListener.firstArg).to.include({ breakpoint: '2000px' });
+            expect(resumeListener).to.have.been.calledOnce;
         });
 
-        describe('when scrolling should not be locked', () => {
-            it('should invoke `disable()` method.', done => {
-                scrollBlocker.enable({ breakpoint: '2000px' });
-                scrollBlocker.enable({ breakpoint: '1000px' });
+        it('should return a function that removes the listener.', () => {
+            const listener = sinon.fake();
 
-                resizeHandlerSandbox.reset();
+            scrollBlocker.on('lock', listener)();
+            scrollBlocker.enable();
 
-                setTimeout(() => {
-                    expect(scrollBlocker.enable).to.not.have.been.called;
-                    expect(scrollBlocker.disable).to.have.been.calledOnce;
+            expect(listener).to.not.have.been.called;
+        });
 
-                    done();
-                }, 150);
-            });
+        it('should dispatch the events as `CustomEvent` on `document`.', () => {
+            const listener = sinon.fake();
+
+            document.addEventListener('scroll-blocker:lock', listener);
+            scrollBlocker.enable();
+
+            expect(listener).to.have.been.calledOnce;
+            expect(listener.firstArg.detail).to.include({ type: 'lock', lockCount: 1 });
+        });
+    });
+
+    describe('off()', () => {
+        it('should remove the given listener.', () => {
+            const listener = sinon.fake();
+
+            scrollBlocker.on('count-change', listener);
+            scrollBlocker.off('count-change', listener);
+            scrollBlocker.enable();
+
+            expect(listener).to.not.have.been.called;
+        });
+    });
+
+    describe('releaseAll()', () => {
+        it('should release all locks regardless of their owner.', () => {
+            const lock = scrollBlocker.enable({ owner: 'header' });
+
+            scrollBlocker.enable();
+            scrollBlocker.releaseAll();
+
+            expect(lock.isActive).to.be.false;
+            expect(scrollBlocker.isEnabled).to.be.false;
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+        });
+
+        it('should keep persistent locks with `keepPersistent`.', () => {
+            const lock = scrollBlocker.enable({ owner: 'header', persistent: true });
+
+            scrollBlocker.enable();
+            scrollBlocker.releaseAll({ keepPersistent: true });
+
+            expect(lock.isActive).to.be.true;
+            expect(scrollBlocker.lockCount).to.equal(1);
+            expect(rootContainsClassname(defaultClassName)).to.be.true;
+        });
+
+        it('should not restore the scroll position with `restoreScrollPosition: false`.', () => {
+            window.scrollTo(0, 200);
+            scrollBlocker.enable();
+            window.scrollTo.resetHistory();
+
+            scrollBlocker.releaseAll({ restoreScrollPosition: false });
+
+            expect(window.scrollTo).to.not.have.been.called;
+            expect(document.body.style.top).to.equal('');
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+        });
+    });
+
+    describe('destroy()', () => {
+        it('should release all locks and remove the className.', () => {
+            const lock = scrollBlocker.enable({ owner: 'header' });
+
+            scrollBlocker.destroy();
+
+            expect(lock.isActive).to.be.false;
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+        });
+
+        it('should unregister the shared instance, so `getInstance()` creates a new one with the given options.', () => {
+            const shared = ScrollBlocker.getInstance({ debug: true });
+
+            shared.destroy();
+
+            const recreated = ScrollBlocker.getInstance({ className: 'is-locked' });
+
+            expect(recreated).to.not.equal(shared);
+            expect(recreated.className).to.equal('is-locked');
+            expect(window.__scrollBlocker__).to.equal(undefined);
+
+            recreated.destroy();
+        });
+
+        it('should restore the original inline styles.', () => {
+            window.scrollTo(0, 1000);
+            document.body.style.top = '10px';
+
+            scrollBlocker.enable();
+            scrollBlocker.destroy();
+
+            expect(document.body.style.top).to.equal('10px');
+        });
+
+        it('should cancel pending animation frames and restore the misplaced elements.', done => {
+            const element = document.querySelector('p');
+
+            element.style.margin = '5px';
+            scrollBlocker.enable({
+                misplacedElements: () => [{ element, property: 'margin' }]
+            });
+
+            setTimeout(() => {
+                scrollBlocker.enable();
+                scrollBlocker.destroy();
+
+                expect(window.cancelAnimationFrame).to.have.been.called;
+
+                setTimeout(() => {
+                    try {
+                        expect(element.style.margin).to.equal('5px');
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                }, 50);
+            }, 50);
+        });
+
+        it('should remove the change listeners from the media queries of the breakpoints.', () => {
+            scrollBlocker.enable({ breakpoint: '2000px' });
+            scrollBlocker.destroy();
+
+            expect(window.matchMedia.firstCall.returnValue.removeEventListener).to.have.been.calledOnceWith('change');
+        });
+
+        it('should remove the listeners registered with `on()`.', () => {
+            const listener = sinon.fake();
+
+            scrollBlocker.on('lock', listener);
+            scrollBlocker.destroy();
+            scrollBlocker.enable();
+
+            expect(listener).to.not.have.been.called;
+        });
+    });
+
+    describe('#adjustElementPositions()', () => {
+        it('should not adjust any stylings when no scrollbar is present.', done => {
+            window.innerWidth = 0;
+
+            scrollBlocker.enable();
+
+            setTimeout( () => {
+                try {
+                    expect(document.body.style.top).to.equal('');
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            }, 150 );
+        });
+    });
+
+    describe('#handleBreakpointChange', () => {
+        it('should block the scrolling when the breakpoint of a lock starts matching.', () => {
+            scrollBlocker.enable({ breakpoint: '800px' });
+
+            window.innerWidth = 700;
+            notifyMediaChange();
+
+            expect(scrollBlocker.isEnabled).to.be.true;
+            expect(rootContainsClassname(defaultClassName)).to.be.true;
+        });
+
+        it('should unblock the scrolling but keep the lock when its breakpoint stops matching.', () => {
+            const lock = scrollBlocker.enable({ breakpoint: '2000px' });
+
+            window.innerWidth = 3000;
+            notifyMediaChange();
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+            expect(lock.isActive).to.be.true;
+            expect(scrollBlocker.lockCount).to.equal(1);
+        });
+
+        it('should keep the scrolling blocked as long as the condition of any lock holds.', () => {
+            const navigationLock = scrollBlocker.enable({ owner: 'navigation', breakpoint: '2000px' });
+
+            scrollBlocker.enable({ owner: 'modal' });
+            window.innerWidth = 3000;
+            notifyMediaChange();
+
+            expect(scrollBlocker.isEnabled).to.be.true;
+
+            scrollBlocker.disable('modal');
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+            expect(navigationLock.isActive).to.be.true;
+        });
+
+        it('should not overwrite the breakpoint of other locks.', () => {
+            const lock = scrollBlocker.enable({ breakpoint: '2000px' });
+
+            scrollBlocker.enable({ breakpoint: '800px' });
+
+            expect(lock.breakpoint).to.equal('2000px');
+            expect(scrollBlocker.isEnabled).to.be.true;
+        });
+    });
+
+    describe('automatic compensation', () => {
+        const afterFrame = (done, assertions) => setTimeout(() => {
+            try {
+                assertions();
+                done();
+            } catch (err) {
+                done(err);
+            }
+        }, 50);
+
+        it('should compensate elements marked with the `data-scroll-blocker-compensate` attribute.', done => {
+            const [ first, second ] = document.querySelectorAll('p');
+
+            first.setAttribute('data-scroll-blocker-compensate', 'margin-right');
+            second.setAttribute('data-scroll-blocker-compensate', '');
+            scrollBlocker.enable();
+
+            afterFrame(done, () => {
+                expect(first.style.marginRight).to.equal('1024px');
+                expect(second.style.paddingRight).to.equal('1024px');
+            });
+        });
+
+        it('should compensate marked elements that were added after the first lock.', done => {
+            scrollBlocker.enable().release();
+
+            const element = document.createElement('header');
+
+            element.setAttribute('data-scroll-blocker-compensate', 'right');
+            document.body.appendChild(element);
+            scrollBlocker.enable();
+
+            afterFrame(done, () => {
+                expect(element.style.right).to.equal('1024px');
+            });
+        });
+
+        it('should compensate elements that were marked while the page is blocked when another lock is acquired.', done => {
+            const element = document.createElement('header');
+
+            document.body.appendChild(element);
+            scrollBlocker.enable();
+
+            setTimeout(() => {
+                element.setAttribute('data-scroll-blocker-compensate', 'right');
+                const lock = scrollBlocker.enable();
+
+                setTimeout(() => {
+                    try {
+                        expect(element.style.right).to.equal('1024px');
+
+                        element.removeAttribute('data-scroll-blocker-compensate');
+                        lock.release();
+                    } catch (err) {
+                        done(err);
+                        return;
+                    }
+
+                    afterFrame(done, () => {
+                        expect(element.style.right).to.equal('');
+                    });
+                }, 50);
+            }, 50);
+        });
+
+        it('should not compensate fixed elements by default.', done => {
+            const element = document.querySelector('p');
+
+            element.style.position = 'fixed';
+            scrollBlocker.enable();
+
+            afterFrame(done, () => {
+                expect(element.style.paddingRight).to.equal('');
+            });
+        });
+
+        it('should compensate fixed and sticky elements when `compensateFixedElements` is enabled.', done => {
+            const [ first, second ] = document.querySelectorAll('p');
+
+            first.style.position = 'fixed';
+            second.style.position = 'sticky';
+            new ScrollBlocker({ compensateFixedElements: true }).enable();
+
+            afterFrame(done, () => {
+                expect(first.style.paddingRight).to.equal('1024px');
+                expect(second.style.paddingRight).to.equal('1024px');
+            });
+        });
+
+        it('should add the scrollbar width to the own padding of fixed elements.', done => {
+            const element = document.querySelector('p');
+
+            element.style.position = 'fixed';
+            element.style.paddingRight = '16px';
+            new ScrollBlocker({ compensateFixedElements: true }).enable();
+
+            afterFrame(done, () => {
+                expect(element.style.paddingRight).to.equal('1040px');
+            });
+        });
+
+        it('should skip the descendants of fixed and hidden elements.', done => {
+            const [ first, second ] = document.querySelectorAll('p');
+            const [ nested, hidden ] = [ document.createElement('span'), document.createElement('span') ];
+
+            first.style.position = 'fixed';
+            second.style.display = 'none';
+            nested.style.position = 'sticky';
+            hidden.style.position = 'fixed';
+            first.append(nested);
+            second.append(hidden);
+            new ScrollBlocker({ compensateFixedElements: true }).enable();
+
+            afterFrame(done, () => {
+                expect(first.style.paddingRight).to.equal('1024px');
+                expect(nested.style.paddingRight).to.equal('');
+                expect(hidden.style.paddingRight).to.equal('');
+            });
+        });
+
+        it('should scan the document once per animation frame.', done => {
+            const blocker = new ScrollBlocker({ compensateFixedElements: true });
+
+            blocker.enable();
+
+            const frames = window.requestAnimationFrame.callCount;
+
+            blocker.enable();
+            blocker.enable();
+
+            expect(window.requestAnimationFrame.callCount).to.equal(frames);
+
+            afterFrame(done, () => {
+                blocker.enable();
+
+                expect(window.requestAnimationFrame.callCount).to.equal(frames + 1);
+            });
+        });
+
+        it('should use the CSS property given as `compensateFixedElements`.', done => {
+            const element = document.querySelector('p');
+
+            element.style.position = 'fixed';
+            new ScrollBlocker({ compensateFixedElements: 'margin-right' }).enable();
+
+            afterFrame(done, () => {
+                expect(element.style.marginRight).to.equal('1024px');
+            });
+        });
+    });
+
+    describe('compensation', () => {
+        const scrollbarWidthProperty = () => document.documentElement.style.getPropertyValue('--scroll-blocker-scrollbar-width');
+
+        it('should set the scrollbar width as `--scroll-blocker-scrollbar-width` on the root while locked.', () => {
+            const lock = scrollBlocker.enable();
+
+            expect(scrollbarWidthProperty()).to.equal('1024px');
+
+            lock.release();
+
+            expect(scrollbarWidthProperty()).to.equal('');
+        });
+
+        it('should set the scrollbar width as `padding-right` on the `documentElement` with the `padding` compensation.', () => {
+            new ScrollBlocker({ compensation: 'padding' }).enable();
+
+            expect(document.documentElement.style.paddingRight).to.equal('1024px');
+            expect(document.documentElement.style.marginRight).to.equal('');
+        });
+
+        it('should only set `--scroll-blocker-scrollbar-width` with the `none` compensation.', done => {
+            const [ first, second ] = document.querySelectorAll('p');
+
+            second.setAttribute('data-scroll-blocker-compensate', '');
+            new ScrollBlocker({
+                compensation: 'none',
+                misplacedElements: () => [{ element: first, property: 'margin-right' }]
+            }).enable();
+
+            expect(document.documentElement.style.marginRight).to.equal('');
+            expect(scrollbarWidthProperty()).to.equal('1024px');
+
+            setTimeout(() => {
+                try {
+                    expect(first.style.marginRight).to.equal('');
+                    expect(second.style.paddingRight).to.equal('');
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            }, 50);
+        });
+
+        it('should set `scrollbar-gutter: stable` on the `documentElement` with the `gutter` compensation.', done => {
+            const element = document.querySelector('p');
+
+            window.CSS = { supports: sinon.fake.returns(true) };
+            new ScrollBlocker({
+                compensation: 'gutter',
+                misplacedElements: () => [{ element, property: 'margin-right' }]
+            }).enable();
+
+            expect(document.documentElement.style.scrollbarGutter).to.equal('stable');
+            expect(document.documentElement.style.marginRight).to.equal('');
+
+            setTimeout(() => {
+                try {
+                    expect(element.style.marginRight).to.equal('');
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            }, 50);
+        });
+
+        it('should fall back to the `margin` compensation when `scrollbar-gutter` is not supported.', () => {
+            window.CSS = { supports: sinon.fake.returns(false) };
+            new ScrollBlocker({ compensation: 'gutter' }).enable();
+
+            expect(document.documentElement.style.marginRight).to.equal('1024px');
+        });
+    });
+
+    describe('right-to-left and horizontal scrolling', () => {
+        it('should compensate the scrollbar on the left side of right-to-left documents.', () => {
+            document.documentElement.style.direction = 'rtl';
+            scrollBlocker.enable();
+
+            expect(document.documentElement.style.marginLeft).to.equal('1024px');
+            expect(document.documentElement.style.marginRight).to.equal('');
+        });
+
+        it('should remove the compensation from the side it was added to when the direction changes while locked.', () => {
+            document.documentElement.style.marginRight = '8px';
+
+            const lock = scrollBlocker.enable();
+
+            expect(document.documentElement.style.marginRight).to.equal('1032px');
+
+            document.documentElement.style.direction = 'rtl';
+            lock.release();
+
+            expect(document.documentElement.style.marginRight).to.equal('8px');
+        });
+
+        it('should compensate marked elements on the left side of right-to-left documents.', done => {
+            const element = document.querySelector('p');
+
+            document.documentElement.style.direction = 'rtl';
+            element.setAttribute('data-scroll-blocker-compensate', '');
+            scrollBlocker.enable();
+
+            setTimeout(() => {
+                try {
+                    expect(element.style.paddingLeft).to.equal('1024px');
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            }, 50);
+        });
+
+        it('should store and restore the horizontal window scroll position.', () => {
+            window.scrollTo(300, 1000);
+
+            const lock = scrollBlocker.enable();
+
+            expect(document.body.style.left).to.equal('-300px');
+
+            lock.release();
+
+            expect(window.scrollTo.lastCall).to.have.been.calledWith(300, 1000);
+            expect(document.body.style.left).to.equal('');
+        });
+
+        it('should compensate the horizontal scrollbar at the bottom when the content overflows horizontally.', () => {
+            Object.defineProperty(document.documentElement, 'scrollWidth', { value: 2000 });
+            Object.defineProperty(document.documentElement, 'clientWidth', { value: 1000 });
+            Object.defineProperty(document.documentElement, 'clientHeight', { value: 750 });
+
+            scrollBlocker.enable();
+
+            expect(document.documentElement.style.marginBottom).to.equal('18px');
+            expect(document.documentElement.style.getPropertyValue('--scroll-blocker-scrollbar-height')).to.equal('18px');
+        });
+
+        it('should not compensate the bottom when the content does not overflow horizontally.', () => {
+            scrollBlocker.enable();
+
+            expect(document.documentElement.style.marginBottom).to.equal('');
+        });
+    });
+
+    describe('misplacedElements of multiple locks', () => {
+        it('should only reset the misplaced elements of a released lock.', done => {
+            const [ first, second ] = document.querySelectorAll('p');
+
+            scrollBlocker.enable({
+                misplacedElements: () => [{ element: first, property: 'margin' }]
+            });
+
+            const lock = scrollBlocker.enable({
+                misplacedElements: () => [{ element: second, property: 'margin' }]
+            });
+
+            setTimeout(() => {
+                lock.release();
+
+                setTimeout(() => {
+                    try {
+                        expect(first.style.margin).to.equal('1024px');
+                        expect(second.style.margin).to.equal('');
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                }, 50);
+            }, 50);
+        });
+    });
+
+    describe('without DOM', () => {
+        beforeEach(() => {
+            delete global.window;
+            delete global.document;
+            scrollBlocker = new ScrollBlocker();
+        });
+
+        it('should record locks without touching the DOM.', () => {
+            const listener = sinon.fake();
+
+            scrollBlocker.on('count-change', listener);
+            scrollBlocker.enable({ owner: 'modal' });
+
+            expect(scrollBlocker.isEnabled).to.be.true;
+            expect(scrollBlocker.lockCount).to.equal(1);
+            expect(listener).to.have.been.calledOnce;
+        });
+
+        it('should not be enabled by locks with a breakpoint.', () => {
+            scrollBlocker.enable({ breakpoint: 800 });
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should release locks.', () => {
+            scrollBlocker.enable({ owner: 'modal' }).release();
+            scrollBlocker.destroy();
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+    });
+
+    describe('serialize()', () => {
+        it('should return the locks without breakpoint that are owned by a string or a number.', () => {
+            scrollBlocker.enable();
+            scrollBlocker.enable({ owner: 'modal', touch: true, persistent: true });
+            scrollBlocker.enable({ owner: 3 });
+            scrollBlocker.enable({ owner: {} });
+            scrollBlocker.enable({ owner: 'drawer', breakpoint: 800 });
+
+            expect(scrollBlocker.serialize()).to.deep.equal([
+                { owner: 'modal', touch: true, persistent: true },
+                { owner: 3, touch: false, persistent: false }
+            ]);
+        });
+    });
+
+    describe('hydrate()', () => {
+        it('should adopt the serialized locks, so the owners get their existing lock.', () => {
+            document.documentElement.classList.add(defaultClassName);
+
+            const [lock] = scrollBlocker.hydrate([{ owner: 'modal', touch: false, persistent: false }]);
+
+            expect(scrollBlocker.enable({ owner: 'modal' })).to.equal(lock);
+            expect(scrollBlocker.lockCount).to.equal(1);
+
+            scrollBlocker.disable('modal');
+
+            expect(rootContainsClassname(defaultClassName)).to.be.false;
+        });
+
+        it('should ignore anonymous locks, so the anonymous lock acquired again on the client is balanced by its `disable()`.', () => {
+            scrollBlocker.hydrate([{ owner: undefined, touch: false, persistent: false }]);
+            scrollBlocker.enable();
+            scrollBlocker.disable();
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+    });
+
+    describe('inspect()', () => {
+        it('should list the active locks.', () => {
+            const target = document.querySelector('p');
+
+            scrollBlocker.enable({ owner: 'modal', label: 'Newsletter modal', breakpoint: 800 });
+            scrollBlocker.enable({ target, touch: true });
+
+            expect(scrollBlocker.inspect()).to.have.lengthOf(2);
+            expect(scrollBlocker.inspect()[0]).to.include({
+                owner: 'modal',
+                label: 'Newsletter modal',
+                target: document.documentElement,
+                breakpoint: 800,
+                matches: false,
+                stack: undefined
+            });
+            expect(scrollBlocker.inspect()[1]).to.include({ owner: undefined, target, touch: true });
+        });
+    });
+
+    describe('debug mode', () => {
+        beforeEach(() => {
+            sinon.stub(console, 'warn');
+            scrollBlocker = new ScrollBlocker({ debug: true });
+        });
+
+        afterEach(() => {
+            scrollBlocker.destroy();
+        });
+
+        it('should expose the instance as `window.__scrollBlocker__`.', () => {
+            expect(window.__scrollBlocker__).to.equal(scrollBlocker);
+        });
+
+        it('should record the call stack of every lock.', () => {
+            scrollBlocker.enable({ owner: 'modal' });
+
+            expect(scrollBlocker.inspect()[0].stack).to.be.a('string');
+        });
+
+        it('should warn about unbalanced `disable()` calls.', () => {
+            scrollBlocker.disable();
+            scrollBlocker.disable('modal');
+
+            expect(console.warn).to.have.been.calledTwice;
+        });
+
+        it('should warn about invalid misplaced elements.', done => {
+            scrollBlocker.enable({
+                misplacedElements: () => [ null, { property: 'margin-right' }, { element: document.querySelector('p') } ]
+            });
+
+            setTimeout(() => {
+                try {
+                    expect(console.warn).to.have.been.calledThrice;
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            }, 50);
+        });
+
+        it('should warn about locks held longer than `warnLockDuration`.', done => {
+            scrollBlocker = new ScrollBlocker({ debug: true, warnLockDuration: 30 });
+            scrollBlocker.enable({ label: 'Newsletter modal' });
+            scrollBlocker.enable({ owner: 'drawer' }).release();
+
+            setTimeout(() => {
+                try {
+                    expect(console.warn).to.have.been.calledOnce;
+                    expect(console.warn.firstCall.args[0]).to.contain('Newsletter modal');
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            }, 50);
+        });
+
+        it('should not warn without debug mode.', () => {
+            new ScrollBlocker().disable();
+
+            expect(console.warn).to.not.have.been.called;
+        });
+    });
+
+    describe('page lifecycle', () => {
+        const getHandler = (target, type) => target.addEventListener.getCalls().find(call => call.args[0] === type).args[1];
+
+        it('should release locks after `maxLockDuration` unless they have another `maxDuration`.', done => {
+            scrollBlocker = new ScrollBlocker({ maxLockDuration: 30 });
+
+            const lock = scrollBlocker.enable();
+            const unlimitedLock = scrollBlocker.enable({ owner: 'modal', maxDuration: 0 });
+
+            setTimeout(() => {
+                try {
+                    expect(lock.isActive).to.be.false;
+                    expect(lock.isExpired).to.be.true;
+                    expect(unlimitedLock.isActive).to.be.true;
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            }, 50);
+        });
+
+        it('should keep valid locks and release expired ones when the page is restored from the back-forward cache.', () => {
+            const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+
+            scrollBlocker.enable({ owner: 'modal' });
+            scrollBlocker.enable({ owner: 'loader', maxDuration: 1000 });
+            clock.tick(2000);
+            getHandler(window, 'pageshow')({ persisted: true });
+
+            expect(scrollBlocker.owners).to.deep.equal(['modal']);
+            expect(rootContainsClassname(defaultClassName)).to.be.true;
+        });
+
+        it('should release expired locks and locks of removed owner elements when the page becomes visible.', () => {
+            const owner = document.querySelector('p');
+
+            sinon.stub(document, 'addEventListener');
+            scrollBlocker.enable({ owner });
+            scrollBlocker.enable({ owner: 'modal' });
+            owner.remove();
+            Object.defineProperty(document, 'visibilityState', { value: 'visible' });
+            getHandler(document, 'visibilitychange')();
+
+            expect(scrollBlocker.owners).to.deep.equal(['modal']);
+        });
+
+        it('should restore a removed class name when the page becomes visible.', () => {
+            sinon.stub(document, 'addEventListener');
+            scrollBlocker.enable();
+            document.documentElement.classList.remove(defaultClassName);
+            Object.defineProperty(document, 'visibilityState', { value: 'visible' });
+            getHandler(document, 'visibilitychange')();
+
+            expect(rootContainsClassname(defaultClassName)).to.be.true;
+        });
+
+        it('should not call the `AddClassName` hooks of the plugins again when the page becomes visible.', () => {
+            const plugin = { name: 'counter', afterAddClassName: sinon.fake(), beforeRemoveClassName: sinon.fake() };
+
+            sinon.stub(document, 'addEventListener');
+            scrollBlocker.use(plugin);
+
+            const lock = scrollBlocker.enable();
+
+            Object.defineProperty(document, 'visibilityState', { value: 'visible' });
+            getHandler(document, 'visibilitychange')();
+            lock.release();
+
+            expect(plugin.afterAddClassName).to.have.been.calledOnce;
+            expect(plugin.beforeRemoveClassName).to.have.been.calledOnce;
+        });
+
+        it('should stop watching the page lifecycle when no lock is active.', () => {
+            scrollBlocker.enable().release();
+
+            expect(window.removeEventListener).to.have.been.calledWith('pageshow');
+        });
+    });
+
+    describe('frames', () => {
+        it('should lock the page for every child frame of the `frameOrigins`.', () => {
+            const frame = document.createElement('iframe');
+
+            document.body.append(frame);
+            scrollBlocker = new ScrollBlocker({ frameOrigins: ['https://checkout.example.com'] });
+
+            const handleMessage = window.addEventListener.getCalls().find(call => call.args[0] === 'message').args[1];
+            const message = type => ({ data: { type }, origin: 'https://checkout.example.com', source: frame.contentWindow });
+
+            handleMessage(message('scroll-blocker:frame-lock'));
+            handleMessage(message('scroll-blocker:frame-lock'));
+
+            expect(scrollBlocker.owners).to.deep.equal([frame]);
+            expect(rootContainsClassname(defaultClassName)).to.be.true;
+
+            handleMessage(message('scroll-blocker:frame-unlock'));
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should lock the parent page while the `documentElement` is blocked with a `parentOrigin`.', () => {
+            Object.defineProperty(window, 'parent', { value: { postMessage: sinon.fake() } });
+            scrollBlocker = new ScrollBlocker({ parentOrigin: 'https://shop.example.com' });
+
+            scrollBlocker.enable({ target: document.querySelector('p') });
+
+            expect(window.parent.postMessage).to.not.have.been.called;
+
+            const lock = scrollBlocker.enable({ touch: true });
+
+            scrollBlocker.enable();
+            lock.release();
+
+            expect(window.parent.postMessage).to.have.been.calledOnceWith({ type: 'scroll-blocker:frame-lock', touch: true });
+
+            scrollBlocker.disable();
+
+            expect(window.parent.postMessage.secondCall).to.have.been.calledWith({ type: 'scroll-blocker:frame-unlock' });
+        });
+    });
+
+    describe('observeOverlays', () => {
+        it('should hold a lock while a dialog is open.', async () => {
+            const dialog = document.createElement('dialog');
+
+            document.body.append(dialog);
+            scrollBlocker = new ScrollBlocker({ observeOverlays: true });
+
+            dialog.setAttribute('open', '');
+            await new Promise(resolve => setTimeout(resolve));
+
+            expect(scrollBlocker.owners).to.deep.equal([dialog]);
+            expect(rootContainsClassname(defaultClassName)).to.be.true;
+
+            dialog.removeAttribute('open');
+            dialog.dispatchEvent(new window.Event('close'));
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+
+            scrollBlocker.destroy();
+        });
+
+        it('should release the locks of open overlays when it is destroyed.', () => {
+            document.body.insertAdjacentHTML('beforeend', '<dialog open></dialog>');
+            scrollBlocker = new ScrollBlocker({ observeOverlays: true });
+
+            expect(scrollBlocker.lockCount).to.equal(1);
+
+            scrollBlocker.destroy();
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+    });
+
+    describe('disable() with `waitFor`', () => {
+        it('should hold the lock until the promise settles.', async () => {
+            let resolve;
+            const waitFor = new Promise(fn => {
+                resolve = fn;
+            });
+
+            scrollBlocker.enable({ owner: 'drawer' });
+
+            const released = scrollBlocker.disable('drawer', { waitFor });
+
+            await Promise.resolve();
+            expect(scrollBlocker.isEnabled).to.be.true;
+
+            resolve();
+            await released;
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should give an owner that acquires a lock again while its old lock is released a new lock.', async () => {
+            let resolve;
+            const waitFor = new Promise(fn => {
+                resolve = fn;
+            });
+
+            const lock = scrollBlocker.enable({ owner: 'drawer' });
+            const released = scrollBlocker.disable('drawer', { waitFor });
+            const again = scrollBlocker.enable({ owner: 'drawer' });
+
+            expect(again).to.not.equal(lock);
+
+            resolve();
+            await released;
+
+            expect(lock.isActive).to.be.false;
+            expect(again.isActive).to.be.true;
+            expect(scrollBlocker.isEnabled).to.be.true;
+        });
+
+        it('should release the lock when the promise returned by the function rejects.', async () => {
+            scrollBlocker.enable();
+            await scrollBlocker.disable(undefined, { waitFor: sinon.fake.rejects(new Error('failed')) });
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should release the lock when the function throws an error.', async () => {
+            scrollBlocker.enable({ owner: 'drawer' });
+            await scrollBlocker.disable('drawer', { waitFor: sinon.fake.throws(new Error('failed')) });
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+            expect(scrollBlocker.lockCount).to.equal(0);
+        });
+
+        it('should hold the lock until every transition of the element ends.', async () => {
+            const drawer = document.querySelector('p');
+            const getComputedStyle = window.getComputedStyle.bind(window);
+            const transitionEnd = propertyName => Object.assign(new window.Event('transitionend', { bubbles: true }), { propertyName });
+
+            sinon.stub(window, 'getComputedStyle').callsFake(element => element === drawer ? {
+                transitionProperty: 'opacity, transform',
+                transitionDuration: '100ms, 0.5s',
+                transitionDelay: '0s',
+                animationName: 'none',
+                animationDuration: '0s',
+                animationDelay: '0s'
+            } : getComputedStyle(element));
+            scrollBlocker.enable({ owner: 'drawer' });
+
+            const released = scrollBlocker.disable('drawer', { waitFor: drawer });
+
+            drawer.dispatchEvent(transitionEnd('opacity'));
+            await new Promise(resolve => setTimeout(resolve));
+
+            expect(scrollBlocker.isEnabled).to.be.true;
+
+            drawer.dispatchEvent(transitionEnd('transform'));
+            await released;
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should hold the lock until the longest transition should have ended when all properties are transitioned.', async () => {
+            const drawer = document.querySelector('p');
+            const getComputedStyle = window.getComputedStyle.bind(window);
+
+            sinon.stub(window, 'getComputedStyle').callsFake(element => element === drawer ? {
+                transitionProperty: 'all',
+                transitionDuration: '20ms',
+                transitionDelay: '0s',
+                animationName: 'none',
+                animationDuration: '0s',
+                animationDelay: '0s'
+            } : getComputedStyle(element));
+            scrollBlocker.enable({ owner: 'drawer' });
+
+            const released = scrollBlocker.disable('drawer', { waitFor: drawer });
+
+            drawer.dispatchEvent(Object.assign(new window.Event('transitionend'), { propertyName: 'opacity' }));
+            await new Promise(resolve => setTimeout(resolve));
+
+            expect(scrollBlocker.isEnabled).to.be.true;
+
+            await released;
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should release the lock immediately when the element has no transition.', () => {
+            scrollBlocker.enable();
+
+            return scrollBlocker.disable(undefined, { waitFor: document.querySelector('p') }).then(() => {
+                expect(scrollBlocker.isEnabled).to.be.false;
+            });
+        });
+    });
+
+    describe('hooks', () => {
+        it('should call the hooks around blocking and unblocking a scroll container.', () => {
+            const calls = [];
+            const hook = name => sinon.fake(detail => calls.push([ name, detail.type, rootContainsClassname(defaultClassName) ]));
+
+            scrollBlocker = new ScrollBlocker({
+                beforeLock: hook('beforeLock'),
+                afterLock: hook('afterLock'),
+                beforeUnlock: hook('beforeUnlock'),
+                afterUnlock: hook('afterUnlock')
+            });
+            scrollBlocker.enable();
+            scrollBlocker.enable();
+            scrollBlocker.disable();
+            scrollBlocker.disable();
+
+            expect(calls).to.deep.equal([
+                [ 'beforeLock', 'beforeLock', false ],
+                [ 'afterLock', 'afterLock', true ],
+                [ 'beforeUnlock', 'beforeUnlock', true ],
+                [ 'afterUnlock', 'afterUnlock', false ]
+            ]);
+        });
+
+        it('should pass the scroll container to the hooks.', () => {
+            const beforeLock = sinon.fake();
+
+            scrollBlocker = new ScrollBlocker({ beforeLock });
+            scrollBlocker.enable();
+
+            expect(beforeLock.firstCall.args[0].target).to.equal(document.documentElement);
+        });
+    });
+
+    describe('use()', () => {
+        it('should call the hooks of the plugin around the hook points.', () => {
+            const calls = [];
+            const hook = name => context => calls.push([ name, context.state.element, rootContainsClassname(defaultClassName) ]);
+            const root = document.documentElement;
+
+            scrollBlocker.use({
+                beforeAdjustElementPositions: hook('beforeAdjustElementPositions'),
+                afterAddClassName: hook('afterAddClassName'),
+                beforeRemoveClassName: hook('beforeRemoveClassName'),
+                afterRestoreElementPositions: hook('afterRestoreElementPositions')
+            });
+            scrollBlocker.enable();
+            scrollBlocker.disable();
+
+            expect(calls).to.deep.equal([
+                [ 'beforeAdjustElementPositions', root, false ],
+                [ 'afterAddClassName', root, true ],
+                [ 'beforeRemoveClassName', root, true ],
+                [ 'afterRestoreElementPositions', root, false ]
+            ]);
+        });
+
+        it('should pass helpers that change inline styles until the instance is destroyed.', () => {
+            const element = document.querySelector('p');
+
+            element.style.visibility = 'visible';
+            scrollBlocker.use({
+                afterAddClassName: ({ setStyle }) => setStyle(element, 'visibility', 'hidden')
+            });
+            scrollBlocker.enable();
+
+            expect(element.style.visibility).to.equal('hidden');
+
+            scrollBlocker.destroy();
+
+            expect(element.style.visibility).to.equal('visible');
+        });
+
+        it('should call `update` when the locks of a blocked scroll container change.', () => {
+            const update = sinon.fake();
+
+            scrollBlocker.use({ update });
+            scrollBlocker.enable();
+            scrollBlocker.enable({ owner: 'modal' });
+
+            expect(update).to.have.been.calledOnce;
+            expect(update.firstCall.args[0].state.element).to.equal(document.documentElement);
+        });
+
+        it('should install a plugin only once.', () => {
+            const install = sinon.fake();
+            const plugin = { name: 'video', install };
+
+            expect(scrollBlocker.use(plugin)).to.equal(scrollBlocker);
+
+            scrollBlocker.use(plugin);
+            scrollBlocker.use({ name: 'video', install });
+
+            expect(install).to.have.been.calledOnceWith(scrollBlocker);
+        });
+
+        it('should use the plugins of the options.', () => {
+            const afterAddClassName = sinon.fake();
+
+            scrollBlocker = new ScrollBlocker({ plugins: [{ afterAddClassName }] });
+            scrollBlocker.enable();
+
+            expect(afterAddClassName).to.have.been.calledOnce;
         });
     });
 });
@@ -0,0 +1,84 @@
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { ScrollLock } from '../src/vanilla/ScrollLock';
+
+chai.use(sinonChai);
+
+describe('ScrollLock', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('isAnonymous', () => {
+        it('should be `true` when no owner is given.', () => {
+            expect(new ScrollLock({ onRelease: sinon.fake() }).isAnonymous).to.be.true;
+        });
+
+        it('should be `false` when an owner is given.', () => {
+            expect(new ScrollLock({ owner: 'modal', onRelease: sinon.fake() }).isAnonymous).to.be.false;
+        });
+    });
+
+    describe('release()', () => {
+        it('should call `onRelease` with the lock and set `isActive` to `false`.', () => {
+            const onRelease = sinon.fake();
+            const lock = new ScrollLock({ onRelease });
+
+            expect(lock.release()).to.be.true;
+            expect(onRelease).to.have.been.calledOnceWith(lock);
+            expect(lock.isActive).to.be.false;
+        });
+
+        it('should pass the release options to `onRelease`.', () => {
+            const onRelease = sinon.fake();
+            const lock = new ScrollLock({ onRelease });
+
+            lock.release({ restoreScrollPosition: false });
+
+            expect(onRelease).to.have.been.calledOnceWith(lock, { restoreScrollPosition: false });
+        });
+
+        it('should do nothing when the lock has already been released.', () => {
+            const onRelease = sinon.fake();
+            const lock = new ScrollLock({ onRelease });
+
+            lock.release();
+
+            expect(lock.release()).to.be.false;
+            expect(onRelease).to.have.been.calledOnce;
+        });
+    });
+
+    describe('signal', () => {
+        it('should release the lock when the signal aborts.', () => {
+            const controller = new AbortController();
+            const onRelease = sinon.fake();
+            const lock = new ScrollLock({ signal: controller.signal, onRelease });
+
+            controller.abort();
+
+            expect(lock.isActive).to.be.false;
+            expect(onRelease).to.have.been.calledOnceWith(lock);
+        });
+
+        it('should create a released lock when the signal already aborted.', () => {
+            const onRelease = sinon.fake();
+            const lock = new ScrollLock({ signal: AbortSignal.abort(), onRelease });
+
+            expect(lock.isActive).to.be.false;
+            expect(onRelease).to.not.have.been.called;
+        });
+
+        it('should stop listening to the signal when the lock is released.', () => {
+            const controller = new AbortController();
+            const onRelease = sinon.fake();
+            const lock = new ScrollLock({ signal: controller.signal, onRelease });
+
+            lock.release();
+            controller.abort();
+
+            expect(onRelease).to.have.been.calledOnce;
+        });
+    });
+});
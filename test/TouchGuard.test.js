@@ -0,0 +1,114 @@
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import { ScrollableElements } from '../src/vanilla/ScrollableElements';
+import { TouchGuard } from '../src/vanilla/TouchGuard';
+
+const dispatchTouch = (target, type, clientY) => {
+    const event = new window.Event(type, { bubbles: true, cancelable: true });
+
+    Object.defineProperty(event, 'touches', { value: [{ clientY }] });
+    target.dispatchEvent(event);
+
+    return event;
+};
+
+const mockScrollable = (element, { scrollTop, clientHeight = 100, scrollHeight = 300 }) => {
+    Object.defineProperty(element, 'scrollTop', { value: scrollTop, writable: true });
+    Object.defineProperty(element, 'clientHeight', { value: clientHeight });
+    Object.defineProperty(element, 'scrollHeight', { value: scrollHeight });
+};
+
+let scrollableElements;
+let touchGuard;
+let scrollable;
+
+describe('TouchGuard', () => {
+    beforeEach(() => {
+        const dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title><div><p>first</p></div><p>second');
+
+        global.window = dom.window;
+        global.document = window.document;
+
+        scrollable = document.querySelector('div');
+        scrollableElements = new ScrollableElements();
+        scrollableElements.add(scrollable);
+        touchGuard = new TouchGuard({ scrollableElements });
+        touchGuard.start();
+    });
+
+    afterEach(() => {
+        touchGuard.stop();
+    });
+
+    it('should cancel touch scrolling outside of scrollable elements.', () => {
+        const target = document.querySelector('body > p');
+
+        dispatchTouch(target, 'touchstart', 200);
+
+        expect(dispatchTouch(target, 'touchmove', 150).defaultPrevented).to.be.true;
+    });
+
+    it('should not cancel touch scrolling inside of a scrollable element.', () => {
+        const target = scrollable.querySelector('p');
+
+        mockScrollable(scrollable, { scrollTop: 100 });
+        dispatchTouch(target, 'touchstart', 200);
+
+        expect(dispatchTouch(target, 'touchmove', 150).defaultPrevented).to.be.false;
+    });
+
+    it('should cancel pulling down when the scrollable element is at its top edge.', () => {
+        mockScrollable(scrollable, { scrollTop: 0 });
+        dispatchTouch(scrollable, 'touchstart', 200);
+
+        expect(dispatchTouch(scrollable, 'touchmove', 250).defaultPrevented).to.be.true;
+    });
+
+    it('should cancel pushing up when the scrollable element is at its bottom edge.', () => {
+        mockScrollable(scrollable, { scrollTop: 200 });
+        dispatchTouch(scrollable, 'touchstart', 200);
+
+        expect(dispatchTouch(scrollable, 'touchmove', 150).defaultPrevented).to.be.true;
+    });
+
+    it('should check the edges of the innermost scrollable element.', () => {
+        const list = document.createElement('ul');
+
+        scrollable.append(list);
+        scrollableElements.add(list);
+        mockScrollable(scrollable, { scrollTop: 0 });
+        mockScrollable(list, { scrollTop: 100 });
+        dispatchTouch(list, 'touchstart', 200);
+
+        expect(scrollableElements.find(list)).to.equal(list);
+        expect(dispatchTouch(list, 'touchmove', 250).defaultPrevented).to.be.false;
+    });
+
+    it('should not cancel anything after `stop()` was called.', () => {
+        const target = document.querySelector('body > p');
+
+        touchGuard.stop();
+        dispatchTouch(target, 'touchstart', 200);
+
+        expect(dispatchTouch(target, 'touchmove', 150).defaultPrevented).to.be.false;
+    });
+
+    it('should cancel touch scrolling inside of a removed scrollable element.', () => {
+        scrollableElements.delete(scrollable);
+        dispatchTouch(scrollable, 'touchstart', 200);
+
+        expect(dispatchTouch(scrollable, 'touchmove', 150).defaultPrevented).to.be.true;
+    });
+
+    it('should only cancel touch scrolling inside of the blocked scroll containers.', () => {
+        const target = document.querySelector('body > p');
+
+        touchGuard.stop();
+        touchGuard = new TouchGuard({ scrollableElements, getTargets: () => [target] });
+        touchGuard.start();
+        dispatchTouch(scrollable, 'touchstart', 200);
+
+        expect(dispatchTouch(scrollable, 'touchmove', 150).defaultPrevented).to.be.false;
+        expect(dispatchTouch(target, 'touchmove', 150).defaultPrevented).to.be.true;
+    });
+});
@@ -0,0 +1,30 @@
+import sinon from 'sinon';
+
+/**
+ * Matches the media queries `Breakpoint` creates for numbers and lengths.
+ * @type {RegExp}
+ */
+const NARROWER_THAN_PATTERN = /^not all and \(min-width: (\d*\.?\d+)px\)$/;
+
+/**
+ * Replaces `window.matchMedia` with a fake, since JSDom does not implement it. Queries created for pixel breakpoints are evaluated
+ * against `window.innerWidth`, any other query matches when it is included in `matchingQueries`.
+ * @param {Set<string>} [matchingQueries = new Set()] - The media queries that match.
+ * @return {function} - A function that notifies all registered change listeners, e.g. after `window.innerWidth` was changed.
+ */
+export const fakeMatchMedia = (matchingQueries = new Set()) => {
+    const listeners = new Set();
+
+    window.matchMedia = sinon.fake(media => ({
+        media,
+        get matches() {
+            const match = media.match(NARROWER_THAN_PATTERN);
+
+            return match ? window.innerWidth < parseFloat(match[1]) : matchingQueries.has(media);
+        },
+        addEventListener: sinon.fake((type, listener) => listeners.add(listener)),
+        removeEventListener: sinon.fake((type, listener) => listeners.delete(listener))
+    }));
+
+    return () => [...listeners].forEach(listener => listener());
+};
@@ -0,0 +1,23 @@
+import Module from 'module';
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { transformSync } from '@babel/core';
+
+/**
+ * Renders a plugin template of a Nuxt 2 module with the given options, the way `addPlugin()` does, and requires the result.
+ * Only the `serialize(options)` placeholder is supported. Modules required by the template have to be stubbed with `stubModules()`.
+ * @param {string} file - The path of the template, relative to the working directory.
+ * @param {Object} options - The options of the plugin.
+ * @return {Object} - The exports of the rendered template.
+ */
+export const requireTemplate = (file, options) => {
+    const filename = resolve(file);
+    const source = readFileSync(filename, 'utf8').replace('<%= serialize(options) %>', JSON.stringify(options));
+    const module = new Module(filename, null);
+
+    module.filename = filename;
+    module.paths = Module._nodeModulePaths(dirname(filename));
+    module._compile(transformSync(source, { filename }).code, filename);
+
+    return module.exports;
+};
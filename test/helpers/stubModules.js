@@ -0,0 +1,32 @@
+import Module from 'module';
+
+/**
+ * Prefixes the cache keys of stubbed modules, so they never collide with real files.
+ * @type {string}
+ */
+const STUB_PREFIX = 'stub:';
+
+/**
+ * Replaces modules that are not installed or only exist in the build of a framework, e.g. `vue` or the `#imports` alias of Nuxt 3,
+ * with the given exports. Modules requiring them have to be required after the stubs are registered.
+ * @param {Object<string, Object>} stubs - The exports by module name.
+ * @return {function} - A function that removes the stubs again.
+ */
+export const stubModules = stubs => {
+    const resolveFilename = Module._resolveFilename;
+
+    Module._resolveFilename = function(request, ...args) {
+        return Object.prototype.hasOwnProperty.call(stubs, request) ? `${STUB_PREFIX}${request}` : resolveFilename.call(this, request, ...args);
+    };
+
+    Object.entries(stubs).forEach(([ request, exports ]) => {
+        const id = `${STUB_PREFIX}${request}`;
+
+        require.cache[id] = { id, filename: id, loaded: true, exports };
+    });
+
+    return () => {
+        Module._resolveFilename = resolveFilename;
+        Object.keys(stubs).forEach(request => delete require.cache[`${STUB_PREFIX}${request}`]);
+    };
+};
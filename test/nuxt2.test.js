@@ -0,0 +1,135 @@
+import chai, { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { ScrollBlocker } from '../src/vanilla/ScrollBlocker';
+import { fakeMatchMedia } from './helpers/matchMedia';
+import { requireTemplate } from './helpers/requireTemplate';
+import { stubModules } from './helpers/stubModules';
+
+chai.use(sinonChai);
+
+const vue = {};
+
+let dom;
+let restoreModules;
+let createPlugin;
+let scrollBlocker;
+let context;
+let inject;
+
+describe('Nuxt 2', () => {
+    before(() => {
+        restoreModules = stubModules({
+            vue,
+            '@this/scroll-blocker/src/vanilla/ScrollBlocker': require('../src/vanilla/ScrollBlocker'),
+            '@this/scroll-blocker/src/vue/scrollLockDirective': require('../src/vue/scrollLockDirective'),
+            '@this/scroll-blocker/src/vue/releaseOnNavigation': require('../src/vue/releaseOnNavigation')
+        });
+        createPlugin = options => requireTemplate('lib/plugin.js', options).default;
+    });
+
+    after(() => {
+        restoreModules();
+    });
+
+    beforeEach(() => {
+        dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title>');
+
+        global.window = dom.window;
+        global.document = window.document;
+        global.window.scrollTo = sinon.fake();
+        global.window.requestAnimationFrame = sinon.fake();
+        global.window.cancelAnimationFrame = sinon.fake();
+        fakeMatchMedia();
+
+        vue.directive = sinon.fake();
+        inject = sinon.fake();
+        context = {
+            app: { head: { title: 'test', htmlAttrs: { lang: 'en', class: 'theme-dark' } } },
+            nuxtState: {},
+            beforeNuxtRender: sinon.fake()
+        };
+    });
+
+    afterEach(() => {
+        scrollBlocker.destroy();
+        delete process.server;
+        sinon.restore();
+        dom.window.close();
+    });
+
+    it('should inject the shared instance and register the v-scroll-lock directive.', () => {
+        createPlugin({})(context, inject);
+        scrollBlocker = inject.firstCall.args[1];
+
+        expect(inject).to.have.been.calledWith('scrollBlocker');
+        expect(scrollBlocker).to.equal(ScrollBlocker.getInstance());
+        expect(vue.directive).to.have.been.calledWith('scroll-lock');
+    });
+
+    it('should adopt the locks of the Nuxt state on the client.', () => {
+        context.nuxtState.scrollBlocker = [{ owner: 'modal', touch: false, persistent: false }];
+        createPlugin({})(context, inject);
+        scrollBlocker = inject.firstCall.args[1];
+
+        expect(scrollBlocker.owners).to.deep.equal(['modal']);
+    });
+
+    it('should add the class name to the head of the app and pass the locks to the Nuxt state on the server.', () => {
+        const nuxtState = {};
+
+        process.server = true;
+        createPlugin({})(context, inject);
+        scrollBlocker = inject.firstCall.args[1];
+
+        expect(context.app.head()).to.deep.equal({ title: 'test', htmlAttrs: { lang: 'en', class: 'theme-dark' } });
+
+        scrollBlocker.enable({ owner: 'modal' });
+        context.beforeNuxtRender.firstCall.args[0]({ nuxtState });
+
+        expect(context.app.head()).to.deep.equal({ title: 'test', htmlAttrs: { lang: 'en', class: 'theme-dark has-no-scroll' } });
+        expect(nuxtState.scrollBlocker).to.deep.equal([{ owner: 'modal', touch: false, persistent: false }]);
+    });
+
+    it('should call a head function of the app on the server.', () => {
+        const head = sinon.fake.returns({ title: 'test' });
+
+        process.server = true;
+        context.app.head = head;
+        createPlugin({})(context, inject);
+        scrollBlocker = inject.firstCall.args[1];
+        scrollBlocker.enable();
+
+        expect(context.app.head()).to.deep.equal({ title: 'test', htmlAttrs: { class: 'has-no-scroll' } });
+        expect(head).to.have.been.calledOnce;
+    });
+
+    it('should release the locks on navigation with the `releaseOnNavigation` option.', () => {
+        context.app.router = { afterEach: sinon.fake() };
+        createPlugin({ releaseOnNavigation: true })(context, inject);
+        scrollBlocker = inject.firstCall.args[1];
+        scrollBlocker.enable();
+        context.app.router.afterEach.firstCall.args[0]({ path: '/contact' }, { path: '/', matched: [{}] });
+
+        expect(scrollBlocker.isEnabled).to.be.false;
+    });
+
+    it('should keep the locks adopted from the Nuxt state on the initial navigation.', () => {
+        context.app.router = { afterEach: sinon.fake() };
+        context.nuxtState.scrollBlocker = [{ owner: 'modal', touch: false, persistent: false }];
+        createPlugin({ releaseOnNavigation: true })(context, inject);
+        scrollBlocker = inject.firstCall.args[1];
+        context.app.router.afterEach.firstCall.args[0]({ path: '/products', matched: [{}] }, { path: '/', matched: [] });
+
+        expect(scrollBlocker.owners).to.deep.equal(['modal']);
+        expect(scrollBlocker.isEnabled).to.be.true;
+    });
+
+    it('should pass the options to the shared instance.', () => {
+        createPlugin({ className: 'is-locked' })(context, inject);
+        scrollBlocker = inject.firstCall.args[1];
+
+        expect(scrollBlocker.className).to.equal('is-locked');
+    });
+});
@@ -0,0 +1,164 @@
+import chai, { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { ScrollBlocker } from '../src/vanilla/ScrollBlocker';
+import { fakeMatchMedia } from './helpers/matchMedia';
+import { stubModules } from './helpers/stubModules';
+
+chai.use(sinonChai);
+
+const vue = {};
+const imports = {
+    defineNuxtPlugin: setup => setup
+};
+
+let dom;
+let restoreModules;
+let useScrollBlocker;
+let plugin;
+let scrollBlocker;
+let nuxtApp;
+
+describe('Nuxt 3', () => {
+    before(() => {
+        restoreModules = stubModules({ vue, '#imports': imports });
+        ({ useScrollBlocker } = require('../lib/nuxt3/runtime/composables'));
+        plugin = require('../lib/nuxt3/runtime/plugin').default;
+    });
+
+    after(() => {
+        restoreModules();
+    });
+
+    beforeEach(() => {
+        dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title>');
+
+        global.window = dom.window;
+        global.document = window.document;
+        global.window.scrollTo = sinon.fake();
+        global.window.requestAnimationFrame = sinon.fake();
+        global.window.cancelAnimationFrame = sinon.fake();
+        fakeMatchMedia();
+
+        scrollBlocker = new ScrollBlocker();
+        nuxtApp = {
+            $scrollBlocker: scrollBlocker,
+            payload: {},
+            vueApp: { directive: sinon.fake() },
+            hook: sinon.fake()
+        };
+
+        vue.getCurrentInstance = sinon.fake.returns({});
+        vue.onBeforeUnmount = sinon.fake();
+        imports.useNuxtApp = () => nuxtApp;
+        imports.useHead = sinon.fake();
+        imports.useRuntimeConfig = () => ({ public: { scrollBlocker: {} } });
+    });
+
+    afterEach(() => {
+        scrollBlocker.destroy();
+        delete process.server;
+        sinon.restore();
+        dom.window.close();
+    });
+
+    describe('useScrollBlocker()', () => {
+        it('should release its locks when the calling component unmounts.', () => {
+            const { enable } = useScrollBlocker();
+
+            enable({ owner: 'modal' });
+            enable();
+
+            expect(scrollBlocker.lockCount).to.equal(2);
+
+            vue.onBeforeUnmount.firstCall.args[0]();
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should keep the locks of other callers when `disable()` is called.', () => {
+            const other = scrollBlocker.enable({ owner: 'drawer' });
+            const { enable, disable } = useScrollBlocker();
+
+            enable();
+            disable();
+
+            expect(scrollBlocker.owners).to.deep.equal(['drawer']);
+            expect(other.isActive).to.be.true;
+        });
+
+        it('should pass the defaults to every `enable()` call.', () => {
+            const { enable } = useScrollBlocker({ touch: true });
+
+            expect(enable({ owner: 'menu' }).touch).to.be.true;
+        });
+
+        it('should not register the unmount hook outside of a component.', () => {
+            vue.getCurrentInstance = sinon.fake.returns(null);
+            useScrollBlocker();
+
+            expect(vue.onBeforeUnmount).to.not.have.been.called;
+        });
+
+        it('should return `null` from `enable()` without a provided ScrollBlocker.', () => {
+            nuxtApp.$scrollBlocker = undefined;
+
+            expect(useScrollBlocker().enable()).to.equal(null);
+        });
+    });
+
+    describe('plugin', () => {
+        it('should provide the shared instance and register the v-scroll-lock directive.', () => {
+            const { provide } = plugin(nuxtApp);
+
+            scrollBlocker = provide.scrollBlocker;
+
+            expect(scrollBlocker).to.equal(ScrollBlocker.getInstance());
+            expect(nuxtApp.vueApp.directive).to.have.been.calledWith('scroll-lock');
+        });
+
+        it('should adopt the locks of the payload on the client.', () => {
+            nuxtApp.payload.scrollBlocker = [{ owner: 'modal', touch: false, persistent: false }];
+            scrollBlocker = plugin(nuxtApp).provide.scrollBlocker;
+
+            expect(scrollBlocker.owners).to.deep.equal(['modal']);
+        });
+
+        it('should render the class name and pass the locks to the payload on the server.', () => {
+            process.server = true;
+            scrollBlocker = plugin(nuxtApp).provide.scrollBlocker;
+            scrollBlocker.enable({ owner: 'modal' });
+
+            const { htmlAttrs } = imports.useHead.firstCall.args[0];
+            const [ hook, callback ] = nuxtApp.hook.firstCall.args;
+
+            callback();
+
+            expect(htmlAttrs.class()).to.equal('has-no-scroll');
+            expect(hook).to.equal('app:rendered');
+            expect(nuxtApp.payload.scrollBlocker).to.deep.equal([{ owner: 'modal', touch: false, persistent: false }]);
+        });
+
+        it('should release the locks on navigation with the `releaseOnNavigation` option.', () => {
+            imports.useRuntimeConfig = () => ({ public: { scrollBlocker: { releaseOnNavigation: true } } });
+            nuxtApp.$router = { afterEach: sinon.fake() };
+            scrollBlocker = plugin(nuxtApp).provide.scrollBlocker;
+            scrollBlocker.enable();
+            nuxtApp.$router.afterEach.firstCall.args[0]({ path: '/contact' }, { path: '/', matched: [{}] });
+
+            expect(scrollBlocker.isEnabled).to.be.false;
+        });
+
+        it('should keep the locks adopted from the payload on the initial navigation.', () => {
+            imports.useRuntimeConfig = () => ({ public: { scrollBlocker: { releaseOnNavigation: true } } });
+            nuxtApp.$router = { afterEach: sinon.fake() };
+            nuxtApp.payload.scrollBlocker = [{ owner: 'modal', touch: false, persistent: false }];
+            scrollBlocker = plugin(nuxtApp).provide.scrollBlocker;
+            nuxtApp.$router.afterEach.firstCall.args[0]({ path: '/products', matched: [{}] }, { path: '/', matched: [] });
+
+            expect(scrollBlocker.owners).to.deep.equal(['modal']);
+            expect(scrollBlocker.isEnabled).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,60 @@
+import chai, { expect } from 'chai';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { releaseOnNavigation } from '../src/vue/releaseOnNavigation';
+
+chai.use(sinonChai);
+
+let router;
+let scrollBlocker;
+let navigate;
+
+describe('releaseOnNavigation', () => {
+    beforeEach(() => {
+        router = {
+            afterEach: sinon.fake(hook => {
+                navigate = hook;
+                return sinon.fake();
+            })
+        };
+        scrollBlocker = {
+            releaseAll: sinon.fake()
+        };
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should return the function that removes the navigation hook.', () => {
+        expect(releaseOnNavigation(router, scrollBlocker)).to.equal(router.afterEach.firstCall.returnValue);
+    });
+
+    it('should release all locks but the persistent ones without restoring the scroll position when the path changes.', () => {
+        releaseOnNavigation(router, scrollBlocker);
+        navigate({ path: '/contact' }, { path: '/', matched: [{}] });
+
+        expect(scrollBlocker.releaseAll).to.have.been.calledOnceWith({ restoreScrollPosition: false, keepPersistent: true });
+    });
+
+    it('should keep the locks when only the query or hash changes.', () => {
+        releaseOnNavigation(router, scrollBlocker);
+        navigate({ path: '/', hash: '#top' }, { path: '/', matched: [{}] });
+
+        expect(scrollBlocker.releaseAll).to.not.have.been.called;
+    });
+
+    it('should keep the locks when the navigation failed.', () => {
+        releaseOnNavigation(router, scrollBlocker);
+        navigate({ path: '/contact' }, { path: '/', matched: [{}] }, new Error('Navigation aborted'));
+
+        expect(scrollBlocker.releaseAll).to.not.have.been.called;
+    });
+
+    it('should keep the locks on the initial navigation.', () => {
+        releaseOnNavigation(router, scrollBlocker);
+        navigate({ path: '/products', matched: [{}] }, { path: '/', matched: [] });
+
+        expect(scrollBlocker.releaseAll).to.not.have.been.called;
+    });
+});
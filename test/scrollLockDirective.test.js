@@ -0,0 +1,118 @@
+import chai, { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import sinon from 'sinon';
+import sinonChai from 'sinon-chai';
+import { ScrollBlocker } from '../src/vanilla/ScrollBlocker';
+import { createScrollLockDirective } from '../src/vue/scrollLockDirective';
+import { fakeMatchMedia } from './helpers/matchMedia';
+
+chai.use(sinonChai);
+
+let scrollBlocker;
+let directive;
+let el;
+
+describe('scrollLockDirective', () => {
+    beforeEach(() => {
+        const dom = new JSDOM('<!DOCTYPE html><html lang="en"><title>test</title><div>modal</div>');
+
+        global.window = dom.window;
+        global.document = window.document;
+        global.window.scrollTo = sinon.fake();
+        global.window.requestAnimationFrame = sinon.fake();
+        fakeMatchMedia();
+
+        scrollBlocker = new ScrollBlocker();
+        directive = createScrollLockDirective(scrollBlocker);
+        el = document.querySelector('div');
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it('should provide the hooks of Vue 2 and Vue 3.', () => {
+        expect(directive.bind).to.equal(directive.mounted);
+        expect(directive.update).to.equal(directive.updated);
+        expect(directive.unbind).to.equal(directive.unmounted);
+    });
+
+    it('should hold a lock owned by the element for its lifetime when no value is given.', () => {
+        directive.bind(el, {});
+
+        expect(scrollBlocker.owners).to.deep.equal([el]);
+
+        directive.unbind(el);
+
+        expect(scrollBlocker.isEnabled).to.be.false;
+    });
+
+    it('should hold the lock while the value is truthy.', () => {
+        directive.bind(el, { value: false });
+
+        expect(scrollBlocker.isEnabled).to.be.false;
+
+        directive.update(el, { value: true });
+
+        expect(scrollBlocker.isEnabled).to.be.true;
+
+        directive.update(el, { value: false });
+
+        expect(scrollBlocker.isEnabled).to.be.false;
+    });
+
+    it('should not re-acquire the lock when the value did not change.', () => {
+        const spy = sinon.spy(scrollBlocker, 'enable');
+
+        directive.bind(el, { value: true });
+        directive.update(el, { value: true });
+
+        expect(spy).to.have.been.calledOnce;
+    });
+
+    it('should pass the `breakpoint` and `misplacedElements` of an object value.', () => {
+        const spy = sinon.spy(scrollBlocker, 'enable');
+        const misplacedElements = () => [];
+
+        directive.bind(el, { value: { enabled: true, breakpoint: '800px', misplacedElements } });
+
+        expect(spy).to.have.been.calledOnceWith(sinon.match({ owner: el, breakpoint: '800px', misplacedElements }));
+        expect(scrollBlocker.isEnabled).to.be.false;
+    });
+
+    it('should re-acquire the lock when the `breakpoint` changed.', () => {
+        directive.bind(el, { value: { breakpoint: '800px' } });
+        directive.update(el, { value: { breakpoint: '2000px' } });
+
+        expect(scrollBlocker.lockCount).to.equal(1);
+        expect(scrollBlocker.isEnabled).to.be.true;
+    });
+
+    it('should enable the touch mode with the `touch` modifier.', () => {
+        const spy = sinon.spy(scrollBlocker, 'enable');
+
+        directive.bind(el, { modifiers: { touch: true } });
+
+        expect(spy).to.have.been.calledOnceWith(sinon.match({ touch: true }));
+    });
+
+    it('should register the element as scrollable element.', () => {
+        const addSpy = sinon.spy(scrollBlocker, 'addScrollableElement');
+        const removeSpy = sinon.spy(scrollBlocker, 'removeScrollableElement');
+
+        directive.bind(el, {});
+        directive.unbind(el);
+
+        expect(addSpy).to.have.been.calledOnceWith(el);
+        expect(removeSpy).to.have.been.calledOnceWith(el);
+    });
+
+    it('should not release a lock on unbind when the element never acquired one.', () => {
+        const spy = sinon.spy(scrollBlocker, 'disable');
+
+        directive.bind(el, { value: false });
+        directive.unbind(el);
+
+        expect(spy).to.not.have.been.called;
+    });
+});